@@ -11,7 +11,8 @@ import {
   filterItems,
   EmbeddingContext,
   NoveltyTracker,
-  LocalStorageAdapter
+  LocalStorageAdapter,
+  isAbortError
 } from '../src/signal/index.js';
 
 // ============================================================
@@ -30,6 +31,18 @@ function getNoveltyTracker(halfLifeDays) {
   return noveltyTracker;
 }
 
+// ============================================================
+// Embedding Context (model runs in a Web Worker, reused across runs)
+// ============================================================
+let sharedEmbeddingCtx = null;
+
+function getEmbeddingContext() {
+  if (!sharedEmbeddingCtx) {
+    sharedEmbeddingCtx = new EmbeddingContext({ worker: true });
+  }
+  return sharedEmbeddingCtx;
+}
+
 // ============================================================
 // DOM Elements
 // ============================================================
@@ -142,6 +155,21 @@ function showLoading(text, source = '') {
     </div>`;
 }
 
+// Loading text for filterItems progress events
+const PHASE_LABELS = {
+  'context-embed': 'Reading your context...',
+  'novelty-load': 'Checking what you have seen...',
+  scoring: 'Analyzing relevance...',
+  classifying: 'Classifying signals...',
+  'novelty-flush': 'Saving novelty data...'
+};
+
+function showFilterProgress({ phase, status, current, total }) {
+  const label = PHASE_LABELS[phase];
+  if (!label || status === 'done') return;
+  showLoading(label, total ? `${current}/${total} items` : '');
+}
+
 // ============================================================
 // Rendering
 // ============================================================
@@ -209,6 +237,9 @@ function renderSignals(signals, total, noveltyEnabled) {
 // ============================================================
 // Main Filter Logic (uses library's filterItems)
 // ============================================================
+// Clicking again cancels the run in progress
+let currentRun = null;
+
 async function fetchAndFilter() {
   const context = el.context?.value.trim() || '';
   const keywords = el.keywords?.value.split(',').map((k) => k.trim()).filter(Boolean) || [];
@@ -222,7 +253,10 @@ async function fetchAndFilter() {
     if (el.results) el.results.innerHTML = `<div class="empty-state"><p>Please enter context first</p></div>`;
     return;
   }
-  if (el.fetchBtn) el.fetchBtn.disabled = true;
+  currentRun?.abort();
+  const run = new AbortController();
+  currentRun = run;
+  const { signal } = run;
 
   showLoading('Initializing...');
 
@@ -231,7 +265,7 @@ async function fetchAndFilter() {
     setStatus('busy', 'Loading AI model');
     showLoading('Loading AI model...', 'First run downloads ~30MB');
 
-    const embeddingCtx = new EmbeddingContext();
+    const embeddingCtx = getEmbeddingContext();
     await embeddingCtx.init({
       onProgress: (p) => {
         if (p.status === 'downloading') {
@@ -249,25 +283,25 @@ async function fetchAndFilter() {
 
     if (el.srcGithub?.checked) {
       showLoading('Fetching sources...', 'Searching GitHub repositories');
-      const items = await fetchGitHub({ keywords: keywords.slice(0, 3), maxItems: 20 });
+      const items = await fetchGitHub({ keywords: keywords.slice(0, 3), maxItems: 20, signal });
       allItems.push(...items);
     }
 
     if (el.srcHackernews?.checked) {
       showLoading('Fetching sources...', 'Searching Hacker News');
-      const items = await fetchHackerNews({ keywords: keywords.slice(0, 3), maxItems: 30 });
+      const items = await fetchHackerNews({ keywords: keywords.slice(0, 3), maxItems: 30, signal });
       allItems.push(...items);
     }
 
     if (el.srcReddit?.checked && subreddits.length) {
       showLoading('Fetching sources...', 'Searching Reddit');
-      const items = await fetchReddit({ subreddits: subreddits.slice(0, 4), maxItems: 20 });
+      const items = await fetchReddit({ subreddits: subreddits.slice(0, 4), maxItems: 20, signal });
       allItems.push(...items);
     }
 
     if (el.srcLobsters?.checked) {
       showLoading('Fetching sources...', 'Searching Lobsters');
-      const items = await fetchLobsters({ maxItems: 15 });
+      const items = await fetchLobsters({ maxItems: 15, signal });
       allItems.push(...items);
     }
 
@@ -282,7 +316,9 @@ async function fetchAndFilter() {
       noveltyThreshold: noveltyEnabled ? 0.0 : 0.5, // Show all if novelty display is on
       userKeywords: { global: keywords },
       noveltyTracker: tracker,
-      embeddingContext: embeddingCtx // Pre-initialized for progress display
+      embeddingContext: embeddingCtx, // Pre-initialized for progress display
+      signal,
+      onProgress: showFilterProgress
     });
 
     // Update novelty stats after filtering
@@ -290,13 +326,16 @@ async function fetchAndFilter() {
       updateNoveltyStats();
     }
 
+    if (signal.aborted) return;
     renderSignals(signals, allItems.length, noveltyEnabled);
 
   } catch (err) {
+    // A newer run replaced this one; leave the UI to it
+    if (isAbortError(err)) return;
     console.error('Fetch error:', err);
     if (el.results) el.results.innerHTML = `<div class="empty-state"><p>Error: ${err.message}</p></div>`;
   } finally {
-    if (el.fetchBtn) el.fetchBtn.disabled = false;
+    if (currentRun === run) currentRun = null;
   }
 }
 
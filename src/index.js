@@ -10,14 +10,48 @@
 // Signal processing (core filtering, embeddings, scoring)
 export {
   filterItems,
+  filterStream,
+  filterProfiles,
   FilterContext,
   EmbeddingContext,
   cosineSimilarity,
   isInitialized,
+  disposePipeline,
+  disposeAllPipelines,
+  TransformersProvider,
+  OpenAIEmbeddingProvider,
+  PrecomputedEmbeddingProvider,
+  WorkerEmbeddingProvider,
+  getModelProfile,
+  CHUNK_AGGREGATIONS,
+  splitSentences,
+  chunkByTokens,
+  aggregateChunkEmbeddings,
+  AbortError,
+  isAbortError,
+  MemoryEmbeddingStore,
+  FileEmbeddingStore,
+  IndexedDBEmbeddingStore,
+  createCacheKey,
   NoveltyTracker,
   MemoryStorageAdapter,
   FileStorageAdapter,
   LocalStorageAdapter,
+  clusterNearDuplicates,
+  canonicalizeUrl,
+  getCanonicalId,
+  TrendHistory,
+  detectTrends,
+  SignalClassifier,
+  SIGNAL_TYPE_PROTOTYPES,
+  parseContext,
+  markdownToProfile,
+  validateProfile,
+  profileToMarkdown,
+  parseFrontMatter,
+  RuleSet,
+  parseRuleExpression,
+  matchesExpression,
   calculateSignalScore,
   scoreAndSortSignals,
   calculateRecencyScore,
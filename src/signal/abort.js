@@ -0,0 +1,77 @@
+/**
+ * Cancellation
+ * Shared abort handling for filterItems, EmbeddingContext and the source fetchers
+ *
+ * Every cancelled operation rejects with AbortError, so callers can tell a
+ * cancellation (user clicked again, request timed out) from a real failure.
+ */
+
+/**
+ * Error thrown when an operation is cancelled through its AbortSignal
+ * `cause` holds the signal's reason (e.g. a TimeoutError from AbortSignal.timeout()).
+ */
+export class AbortError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options ({ cause })
+   */
+  constructor(message = 'The operation was aborted', options = {}) {
+    super(message, options);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal|null} signal - Signal to check (no-op when missing)
+ */
+export function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+
+  const reason = signal.reason;
+  const message = reason?.name === 'TimeoutError' ? 'The operation timed out' : 'The operation was aborted';
+  throw new AbortError(message, { cause: reason });
+}
+
+/**
+ * Wait `ms` milliseconds, rejecting with AbortError as soon as the signal fires
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Cancels the wait (optional)
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      try {
+        throwIfAborted(signal);
+      } catch (error) {
+        reject(error);
+      }
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Whether an error came from a cancelled operation
+ * Matches AbortError as well as the DOMException thrown by fetch().
+ * @param {*} error - Error to check
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error instanceof AbortError || error?.name === 'AbortError';
+}
+
+export default {
+  AbortError,
+  throwIfAborted,
+  sleep,
+  isAbortError
+};
@@ -0,0 +1,438 @@
+/**
+ * Embedding Cache Stores
+ * Persist computed embeddings so repeated items cost nothing across processes
+ *
+ * Problem: The in-memory LRU inside EmbeddingContext is discarded per request,
+ * so scheduled jobs re-embed the same repos and stories every run.
+ * Solution: Pluggable stores keyed by model, embedding settings and SHA-256 of the text.
+ *
+ * Storage: Pluggable via EmbeddingCacheStore interface (memory, file, IndexedDB, etc.)
+ */
+
+// Default max entries (384-dim float32 vectors are ~1.5KB each)
+const DEFAULT_MAX_ENTRIES = 10000;
+
+// IndexedDB object store name
+const IDB_STORE_NAME = 'embeddings';
+
+/**
+ * Embedding cache store interface
+ * Implement this interface to use custom storage backends
+ *
+ * @typedef {Object} EmbeddingCacheStore
+ * @property {function(string[]): Promise<Map<string, Float32Array>>} load - Load embeddings for cache keys
+ * @property {function(Array<{key: string, embedding: Float32Array}>): Promise<void>} save - Save embeddings
+ * @property {function(): Promise<void>} [flush] - Optional: Persist buffered writes
+ * @property {function(): Promise<void>} [clear] - Optional: Clear all data
+ */
+
+/**
+ * Get a SubtleCrypto implementation (browser, Node.js 19+, or Node.js 18 via import)
+ */
+async function getSubtleCrypto() {
+  if (globalThis.crypto?.subtle) {
+    return globalThis.crypto.subtle;
+  }
+  const { webcrypto } = await import('crypto');
+  return webcrypto.subtle;
+}
+
+/**
+ * SHA-256 hex digest of a string (works in both Node.js and browser)
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} 64-character hex digest
+ */
+export async function sha256Hex(text) {
+  const subtle = await getSubtleCrypto();
+  const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build a cache key for an embedding
+ *
+ * Keys combine the model name, a fingerprint of every setting that changes the
+ * output vector (pooling, normalization, quantization, chunking), and a SHA-256
+ * digest of the text, so switching models or settings never serves stale vectors.
+ *
+ * @param {Object} settings - Embedding settings
+ * @param {string} settings.modelName - Model ID the embedding was computed with
+ * @param {string} text - Embedded text
+ * @returns {Promise<string>} Cache key (`<model>:<settings fingerprint>:<text digest>`)
+ */
+export async function createCacheKey(settings, text) {
+  const fingerprint = await getSettingsFingerprint(settings);
+  return `${settings.modelName}:${fingerprint}:${await sha256Hex(text)}`;
+}
+
+// Settings objects are reused per context, so fingerprint each one once
+const fingerprintCache = new WeakMap();
+
+/**
+ * Short digest of embedding settings (stable across key order)
+ * @param {Object} settings - Embedding settings
+ * @returns {Promise<string>} 16-character hex fingerprint
+ */
+export async function getSettingsFingerprint(settings) {
+  if (!fingerprintCache.has(settings)) {
+    const canonical = JSON.stringify(
+      Object.keys(settings).sort().map(key => [key, settings[key]])
+    );
+    fingerprintCache.set(settings, sha256Hex(canonical).then(digest => digest.slice(0, 16)));
+  }
+  return fingerprintCache.get(settings);
+}
+
+/**
+ * Evict least recently used entries from a Map of { embedding, lastUsed }
+ */
+function evictOldest(data, maxEntries) {
+  if (data.size <= maxEntries) return;
+
+  const entries = Array.from(data.entries());
+  entries.sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  const toRemove = entries.slice(0, entries.length - maxEntries);
+  for (const [key] of toRemove) {
+    data.delete(key);
+  }
+}
+
+function float32ToBase64(vector) {
+  const bytes = new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToFloat32(encoded) {
+  const binary = atob(encoded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Float32Array(bytes.buffer);
+}
+
+/**
+ * In-memory embedding store (non-persistent, shareable across contexts)
+ *
+ * @implements {EmbeddingCacheStore}
+ */
+export class MemoryEmbeddingStore {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxEntries - Maximum entries before LRU eviction (default: 10000)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.data = new Map();
+  }
+
+  async load(keys) {
+    const result = new Map();
+    for (const key of keys) {
+      const entry = this.data.get(key);
+      if (entry) {
+        this.data.delete(key);
+        this.data.set(key, entry);
+        result.set(key, entry);
+      }
+    }
+    return result;
+  }
+
+  async save(entries) {
+    for (const { key, embedding } of entries) {
+      this.data.delete(key);
+      this.data.set(key, embedding);
+    }
+    while (this.data.size > this.maxEntries) {
+      this.data.delete(this.data.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.data.clear();
+  }
+
+  get size() {
+    return this.data.size;
+  }
+}
+
+/**
+ * File-based embedding store for Node.js
+ *
+ * Writes are buffered in memory and persisted on `flush()`, so a run that
+ * embeds thousands of items rewrites the file once.
+ *
+ * Formats:
+ * - 'json': `{ key: { v: <base64 float32>, t: <lastUsed ms> } }`
+ * - 'binary': `[uint32 header length][header JSON][float32 vectors]`, smaller and faster to load
+ *
+ * @example
+ * const cacheStore = new FileEmbeddingStore('./embeddings.bin', { format: 'binary' });
+ * const signals = await filterItems(items, context, { cacheStore });
+ *
+ * @implements {EmbeddingCacheStore}
+ */
+export class FileEmbeddingStore {
+  /**
+   * @param {string} filePath - Path to the storage file
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxEntries - Maximum entries to keep (default: 10000)
+   * @param {string} options.format - 'json' or 'binary' (default: 'json')
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.format = options.format === 'binary' ? 'binary' : 'json';
+    this.data = null;
+    this.dirty = false;
+  }
+
+  async _ensureLoaded() {
+    if (this.data !== null) return;
+
+    let content;
+    try {
+      const fs = await import('fs/promises');
+      content = await fs.readFile(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = new Map();
+      return;
+    }
+
+    // A truncated or corrupt file is only a cache: start empty (rewritten on the next flush)
+    try {
+      this.data = this.format === 'binary'
+        ? this._decodeBinary(content)
+        : this._decodeJson(content.toString('utf-8'));
+    } catch (error) {
+      console.warn(`FileEmbeddingStore: Ignoring unreadable cache file ${this.filePath}:`, error.message);
+      this.data = new Map();
+    }
+  }
+
+  _decodeJson(content) {
+    const parsed = JSON.parse(content);
+    const data = new Map();
+    for (const [key, entry] of Object.entries(parsed)) {
+      data.set(key, { embedding: base64ToFloat32(entry.v), lastUsed: entry.t || 0 });
+    }
+    return data;
+  }
+
+  _encodeJson() {
+    const obj = {};
+    for (const [key, entry] of this.data) {
+      obj[key] = { v: float32ToBase64(entry.embedding), t: entry.lastUsed };
+    }
+    return JSON.stringify(obj);
+  }
+
+  _decodeBinary(buffer) {
+    const data = new Map();
+    if (buffer.length < 4) return data;
+
+    const headerLength = buffer.readUInt32LE(0);
+    const header = JSON.parse(buffer.subarray(4, 4 + headerLength).toString('utf-8'));
+    let offset = 4 + headerLength;
+
+    for (const [key, lastUsed, dims] of header.entries) {
+      if (offset + dims * 4 > buffer.length) {
+        throw new Error(`Binary cache ends inside the vector for "${key}"`);
+      }
+      const bytes = buffer.subarray(offset, offset + dims * 4);
+      // Copy so the vector owns an aligned buffer
+      const embedding = new Float32Array(new Uint8Array(bytes).buffer);
+      data.set(key, { embedding, lastUsed });
+      offset += dims * 4;
+    }
+    return data;
+  }
+
+  _encodeBinary() {
+    const entries = [];
+    const vectors = [];
+    for (const [key, entry] of this.data) {
+      entries.push([key, entry.lastUsed, entry.embedding.length]);
+      vectors.push(Buffer.from(entry.embedding.buffer, entry.embedding.byteOffset, entry.embedding.byteLength));
+    }
+
+    const header = Buffer.from(JSON.stringify({ version: 1, entries }), 'utf-8');
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32LE(header.length, 0);
+    return Buffer.concat([headerLength, header, ...vectors]);
+  }
+
+  async load(keys) {
+    await this._ensureLoaded();
+    const now = Date.now();
+    const result = new Map();
+    for (const key of keys) {
+      const entry = this.data.get(key);
+      if (entry) {
+        entry.lastUsed = now;
+        result.set(key, entry.embedding);
+      }
+    }
+    return result;
+  }
+
+  async save(entries) {
+    await this._ensureLoaded();
+    const now = Date.now();
+    for (const { key, embedding } of entries) {
+      this.data.set(key, { embedding: Float32Array.from(embedding), lastUsed: now });
+    }
+    if (entries.length > 0) {
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Persist buffered writes to disk (prunes least recently used entries first)
+   */
+  async flush() {
+    if (!this.dirty || this.data === null) return;
+
+    evictOldest(this.data, this.maxEntries);
+
+    const fs = await import('fs/promises');
+    const content = this.format === 'binary' ? this._encodeBinary() : this._encodeJson();
+    await fs.writeFile(this.filePath, content);
+    this.dirty = false;
+  }
+
+  async clear() {
+    this.data = new Map();
+    this.dirty = false;
+    const fs = await import('fs/promises');
+    await fs.rm(this.filePath, { force: true });
+  }
+
+  get size() {
+    return this.data ? this.data.size : 0;
+  }
+}
+
+/**
+ * IndexedDB embedding store for browser persistence
+ *
+ * localStorage is too small for embedding vectors, so this store keeps them
+ * in IndexedDB and prunes the least recently used entries past `maxEntries`.
+ *
+ * @example
+ * const cacheStore = new IndexedDBEmbeddingStore('my-app-embeddings', { maxEntries: 5000 });
+ * const embeddingCtx = new EmbeddingContext({ cacheStore });
+ *
+ * @implements {EmbeddingCacheStore}
+ */
+export class IndexedDBEmbeddingStore {
+  /**
+   * @param {string} dbName - IndexedDB database name (default: 'semantic-relevance-embeddings')
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxEntries - Maximum entries to keep (default: 10000)
+   */
+  constructor(dbName = 'semantic-relevance-embeddings', options = {}) {
+    this.dbName = dbName;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.dbPromise = null;
+  }
+
+  _open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(IDB_STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastUsed', 'lastUsed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.dbPromise;
+  }
+
+  async _transaction(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE_NAME, mode);
+      const result = fn(tx.objectStore(IDB_STORE_NAME));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async load(keys) {
+    const result = new Map();
+    const now = Date.now();
+
+    await this._transaction('readwrite', (store) => {
+      for (const key of keys) {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const record = request.result;
+          if (!record) return;
+          result.set(key, new Float32Array(record.embedding));
+          store.put({ ...record, lastUsed: now });
+        };
+      }
+    });
+
+    return result;
+  }
+
+  async save(entries) {
+    if (entries.length === 0) return;
+    const now = Date.now();
+
+    await this._transaction('readwrite', (store) => {
+      for (const { key, embedding } of entries) {
+        store.put({ key, embedding: Float32Array.from(embedding).buffer, lastUsed: now });
+      }
+    });
+
+    await this._prune();
+  }
+
+  async _prune() {
+    await this._transaction('readwrite', (store) => {
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - this.maxEntries;
+        if (excess <= 0) return;
+
+        const cursorRequest = store.index('lastUsed').openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+    });
+  }
+
+  async clear() {
+    await this._transaction('readwrite', (store) => {
+      store.clear();
+    });
+  }
+}
+
+export default {
+  MemoryEmbeddingStore,
+  FileEmbeddingStore,
+  IndexedDBEmbeddingStore,
+  createCacheKey,
+  getSettingsFingerprint,
+  sha256Hex
+};
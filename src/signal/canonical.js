@@ -0,0 +1,227 @@
+/**
+ * URL Canonicalization
+ * Cross-source identity for items that link to the same thing
+ *
+ * Source ids are prefixed by where an item was found (`hn:123`, `reddit:abc`),
+ * so one article linked from three aggregators looks like three items.
+ * canonicalizeUrl() reduces a link to a stable form, and getCanonicalId()
+ * turns an item into an id that is the same whichever source it came from.
+ */
+
+// How items are keyed for novelty: source id, or canonical_id across sources
+export const IDENTITIES = ['id', 'canonical'];
+
+// Query parameters that only track where a click came from, on any site
+// Generic names (ref, source, share, si) select content on many sites, so they
+// are only stripped on the hosts below.
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id',
+  'ref_src', 'smid', 'cmpid'
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_'];
+
+// Tracking parameters by (normalized) host
+const HOST_TRACKING_PARAMS = {
+  'youtube.com': new Set(['si', 'feature']),
+  'youtu.be': new Set(['si', 'feature']),
+  'open.spotify.com': new Set(['si']),
+  'medium.com': new Set(['source']),
+  'producthunt.com': new Set(['ref'])
+};
+
+// Redirect wrappers and the query parameter holding the real URL
+// (no param: the whole query string is the target)
+const REDIRECTORS = [
+  { host: 'google.com', path: '/url', param: 'q' },
+  { host: 'l.facebook.com', path: '/l.php', param: 'u' },
+  { host: 'lm.facebook.com', path: '/l.php', param: 'u' },
+  { host: 'l.instagram.com', param: 'u' },
+  { host: 'out.reddit.com', param: 'url' },
+  { host: 'youtube.com', path: '/redirect', param: 'q' },
+  { host: 't.umblr.com', path: '/redirect', param: 'z' },
+  { host: 'href.li' }
+];
+
+// Host aliases that serve the same pages
+const HOST_ALIASES = {
+  'old.reddit.com': 'reddit.com',
+  'new.reddit.com': 'reddit.com',
+  'np.reddit.com': 'reddit.com',
+  'mobile.twitter.com': 'x.com',
+  'twitter.com': 'x.com',
+  'm.youtube.com': 'youtube.com',
+  'en.m.wikipedia.org': 'en.wikipedia.org'
+};
+
+// github.com/<first segment> pages that are not repositories
+const GITHUB_RESERVED = new Set([
+  'about', 'apps', 'collections', 'enterprise', 'explore', 'features', 'login',
+  'marketplace', 'notifications', 'orgs', 'pricing', 'search', 'settings',
+  'sponsors', 'topics', 'trending', 'users'
+]);
+
+// Repo sub-pages that still describe the repository itself
+const GITHUB_REPO_PAGES = new Set(['', 'tree', 'blob', 'releases', 'wiki', 'readme']);
+
+/**
+ * Whether a query parameter only tracks the click
+ */
+function isTrackingParam(name, host) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) ||
+    TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix)) ||
+    Boolean(HOST_TRACKING_PARAMS[host]?.has(lower));
+}
+
+/**
+ * Target of a known redirector URL, or null when it isn't one
+ * Throws URIError when the target has a malformed escape (e.g. a stray %).
+ */
+function unwrapRedirect(parsed, host) {
+  const redirector = REDIRECTORS.find(r => r.host === host && (!r.path || r.path === parsed.pathname));
+  if (!redirector) return null;
+
+  if (!redirector.param) {
+    const target = parsed.search.slice(1);
+    return target ? decodeURIComponent(target) : null;
+  }
+  return parsed.searchParams.get(redirector.param);
+}
+
+/**
+ * Normalize a hostname: lowercase, no www., known aliases collapsed
+ */
+function normalizeHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+  return HOST_ALIASES[host] || host;
+}
+
+/**
+ * Canonicalize a URL
+ *
+ * - Resolves known redirectors (google.com/url, l.facebook.com, out.reddit.com, ...)
+ * - Upgrades http to https, lowercases the host and drops `www.`
+ * - Removes tracking parameters (utm_*, fbclid, gclid, ..., plus per-site ones like YouTube's si), sorts the rest
+ * - Drops fragments, default ports and trailing slashes
+ * - Expands youtu.be short links
+ *
+ * @param {string} url - URL to canonicalize
+ * @returns {string|null} Canonical URL (the URL unchanged when a redirect target can't be decoded), or null if it can't be parsed as http(s)
+ */
+export function canonicalizeUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  let host = normalizeHost(parsed.hostname);
+
+  // Follow redirect wrappers (bounded, in case they nest)
+  for (let hops = 0; hops < 3; hops++) {
+    let target;
+    try {
+      target = unwrapRedirect(parsed, host);
+    } catch {
+      // Undecodable target: leave the URL as it was given
+      return url.trim();
+    }
+    if (!target) break;
+    try {
+      parsed = new URL(target);
+    } catch {
+      break;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    host = normalizeHost(parsed.hostname);
+  }
+
+  let pathname = parsed.pathname;
+  const params = [...parsed.searchParams].filter(([name]) => !isTrackingParam(name, host));
+
+  if (host === 'youtu.be') {
+    const videoId = pathname.slice(1).split('/')[0];
+    if (videoId) {
+      host = 'youtube.com';
+      pathname = '/watch';
+      params.push(['v', videoId]);
+    }
+  }
+
+  params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  // Default ports are already dropped by URL; drop the trailing slash too
+  pathname = pathname.replace(/\/+$/, '');
+  const port = parsed.port ? `:${parsed.port}` : '';
+
+  return `https://${host}${port}${pathname}${query}`;
+}
+
+/**
+ * Repository (`owner/repo`) a GitHub URL points at, or null
+ * Issues, pull requests and other pages are their own things and return null.
+ *
+ * @param {string} url - URL to check
+ * @returns {string|null} Lowercased `owner/repo`
+ */
+export function getGitHubRepo(url) {
+  const canonical = canonicalizeUrl(url);
+  if (!canonical) return null;
+
+  const { hostname, pathname } = new URL(canonical);
+  if (hostname !== 'github.com') return null;
+
+  const [owner, repo, page = ''] = pathname.split('/').filter(Boolean);
+  if (!owner || !repo || GITHUB_RESERVED.has(owner.toLowerCase())) return null;
+  if (!GITHUB_REPO_PAGES.has(page.toLowerCase())) return null;
+
+  return `${owner}/${repo.replace(/\.git$/, '')}`.toLowerCase();
+}
+
+/**
+ * Source-independent id for an item
+ *
+ * - GitHub repository links: `github:<owner>/<repo>`, lowercased (fetchGitHub's `id` keeps
+ *   GitHub's casing, so compare canonical ids with canonical ids)
+ * - Other links: `url:<canonical URL>`
+ * - No usable URL: the item's own id
+ *
+ * @param {Object} item - Item with url and id
+ * @returns {string} Canonical id
+ */
+export function getCanonicalId(item) {
+  const repo = getGitHubRepo(item.url);
+  if (repo) return `github:${repo}`;
+
+  const canonical = canonicalizeUrl(item.url);
+  return canonical ? `url:${canonical}` : item.id;
+}
+
+/**
+ * Key an item is tracked under
+ * @param {Object} item - Item with id (and canonical_id or url for 'canonical')
+ * @param {string} identity - 'id' (source id) or 'canonical' (cross-source)
+ * @returns {string} Item key
+ */
+export function getItemKey(item, identity = 'id') {
+  if (!IDENTITIES.includes(identity)) {
+    throw new Error(`Unknown identity "${identity}". Expected one of: ${IDENTITIES.join(', ')}`);
+  }
+  if (identity === 'canonical') {
+    return item.canonical_id || getCanonicalId(item);
+  }
+  return item.id;
+}
+
+export default {
+  canonicalizeUrl,
+  getGitHubRepo,
+  getCanonicalId,
+  getItemKey
+};
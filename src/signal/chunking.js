@@ -0,0 +1,169 @@
+/**
+ * Token-aware chunking for long text
+ *
+ * Splits text into windows that fit the model's token limit, breaking on
+ * sentence boundaries where possible, and combines per-chunk embeddings
+ * back into a single vector.
+ */
+
+// How chunk embeddings are combined
+// - weighted-mean: earlier chunks weigh more (decay per chunk)
+// - max: element-wise max pooling across chunks
+// - first: only the first chunk is embedded
+export const CHUNK_AGGREGATIONS = ['weighted-mean', 'max', 'first'];
+
+/**
+ * Split text into sentences (keeps terminal punctuation, treats newlines as breaks)
+ * @param {string} text - Text to split
+ * @returns {string[]} Non-empty, trimmed sentences
+ */
+export function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Split a sentence that exceeds the budget into word runs that fit
+ */
+async function splitOversized(sentence, budget, countTokens) {
+  const words = sentence.split(/\s+/).filter(Boolean);
+  const pieces = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const word of words) {
+    // A single word can't be split further; the tokenizer truncates it if needed
+    const tokens = Math.min(await countTokens(word), budget);
+    if (currentTokens + tokens > budget && current.length > 0) {
+      pieces.push({ text: current.join(' '), tokens: currentTokens });
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(word);
+    currentTokens += tokens;
+  }
+
+  if (current.length > 0) {
+    pieces.push({ text: current.join(' '), tokens: currentTokens });
+  }
+  return pieces;
+}
+
+/**
+ * Chunk text into token windows with overlap, on sentence boundaries
+ *
+ * @param {string} text - Text to chunk
+ * @param {Object} options - Chunking options
+ * @param {number} options.budget - Max tokens per chunk (excluding special tokens and prefix)
+ * @param {number} options.overlap - Max tokens carried over from the previous chunk
+ * @param {function(string): Promise<number>} options.countTokens - Token counter
+ * @returns {Promise<string[]>} Chunks (a single chunk when the text fits)
+ */
+export async function chunkByTokens(text, { budget, overlap, countTokens }) {
+  if (await countTokens(text) <= budget) {
+    return [text];
+  }
+
+  const units = [];
+  for (const sentence of splitSentences(text)) {
+    const tokens = await countTokens(sentence);
+    if (tokens <= budget) {
+      units.push({ text: sentence, tokens });
+    } else {
+      units.push(...await splitOversized(sentence, budget, countTokens));
+    }
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const unit of units) {
+    if (currentTokens + unit.tokens > budget && current.length > 0) {
+      chunks.push(current.map(u => u.text).join(' '));
+
+      // Carry trailing sentences into the next window, up to the overlap budget
+      const carry = [];
+      let carryTokens = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (carryTokens + current[i].tokens > overlap) break;
+        carry.unshift(current[i]);
+        carryTokens += current[i].tokens;
+      }
+
+      if (carryTokens + unit.tokens > budget) {
+        current = [];
+        currentTokens = 0;
+      } else {
+        current = carry;
+        currentTokens = carryTokens;
+      }
+    }
+    current.push(unit);
+    currentTokens += unit.tokens;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.map(u => u.text).join(' '));
+  }
+
+  return chunks;
+}
+
+/**
+ * Combine chunk embeddings into one normalized vector
+ *
+ * @param {Float32Array[]} embeddings - Chunk embeddings in text order
+ * @param {string} strategy - One of CHUNK_AGGREGATIONS
+ * @param {number} weightDecay - Per-chunk weight decay for 'weighted-mean'
+ * @returns {Float32Array} Combined embedding
+ */
+export function aggregateChunkEmbeddings(embeddings, strategy, weightDecay) {
+  if (strategy === 'first' || embeddings.length === 1) {
+    return embeddings[0];
+  }
+
+  const dim = embeddings[0].length;
+  const combined = new Float32Array(dim);
+
+  if (strategy === 'max') {
+    combined.fill(-Infinity);
+    for (const emb of embeddings) {
+      for (let j = 0; j < dim; j++) {
+        if (emb[j] > combined[j]) combined[j] = emb[j];
+      }
+    }
+  } else {
+    // Weighted averaging: Earlier chunks get higher weight
+    const weights = embeddings.map((_, idx) => Math.pow(weightDecay, idx));
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+
+    for (let i = 0; i < embeddings.length; i++) {
+      const weight = weights[i] / totalWeight;
+      const emb = embeddings[i];
+      for (let j = 0; j < dim; j++) {
+        combined[j] += emb[j] * weight;
+      }
+    }
+  }
+
+  // Normalize
+  let norm = 0;
+  for (let i = 0; i < dim; i++) {
+    norm += combined[i] * combined[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < dim; i++) {
+      combined[i] /= norm;
+    }
+  }
+
+  return combined;
+}
+
+export default {
+  CHUNK_AGGREGATIONS,
+  splitSentences,
+  chunkByTokens,
+  aggregateChunkEmbeddings
+};
@@ -0,0 +1,157 @@
+/**
+ * Semantic Signal Classification
+ * Zero-shot signal types from embeddings, blended with keyword hits
+ *
+ * Each signal type is described by a few prototype sentences (plus any
+ * user-supplied exemplars). An item is compared to every prototype; the best
+ * similarity per type goes through a softmax to give per-type probabilities,
+ * and keyword hits from FilterContext.classifySignalType nudge their types up.
+ */
+
+import { cosineSimilarity } from './embeddings.js';
+
+// Prototype descriptions per signal type
+export const SIGNAL_TYPE_PROTOTYPES = {
+  competitive: [
+    'A new product, tool or startup that competes with or is an alternative to existing ones',
+    'Launch announcement of a competing product or service'
+  ],
+  'thesis-challenging': [
+    'Evidence or an argument that contradicts a commonly held assumption',
+    'Research showing that a popular approach does not work as believed'
+  ],
+  opportunity: [
+    'People describing a pain point, frustration or unmet need',
+    'A problem users struggle with that has no good solution yet'
+  ],
+  technical: [
+    'Technical explanation of an architecture, implementation or engineering approach',
+    'A tutorial or deep dive into how a system is built'
+  ],
+  trend: [
+    'Growing adoption of a technology across the industry',
+    'A market shift as many companies move to a new approach'
+  ]
+};
+
+// Share of the final probability given to a keyword hit
+const DEFAULT_KEYWORD_WEIGHT = 0.3;
+
+// Softmax temperature over cosine similarities (lower = sharper)
+const DEFAULT_TEMPERATURE = 0.05;
+
+/**
+ * Softmax over per-type scores
+ */
+function softmax(scores, temperature) {
+  const max = Math.max(...Object.values(scores));
+  const exps = {};
+  let total = 0;
+  for (const [type, score] of Object.entries(scores)) {
+    exps[type] = Math.exp((score - max) / temperature);
+    total += exps[type];
+  }
+  for (const type of Object.keys(exps)) {
+    exps[type] /= total;
+  }
+  return exps;
+}
+
+/**
+ * Embedding-based signal type classifier
+ *
+ * @example
+ * const classifier = new SignalClassifier({
+ *   exemplars: { competitive: ['Acme launches an open-source alternative to our product'] }
+ * });
+ * await classifier.init(embeddingContext);
+ * const { type, probabilities } = classifier.classify(itemEmbedding, keywordResult);
+ */
+export class SignalClassifier {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object<string, string[]>} options.prototypes - Descriptions per type (default: SIGNAL_TYPE_PROTOTYPES)
+   * @param {Object<string, string[]>} options.exemplars - Example items per type, added to the prototypes
+   * @param {string[]} options.types - Types to classify into (default: every prototype type)
+   * @param {number} options.keywordWeight - Weight of keyword hits, 0-1, scaled by the best keyword score (default: 0.3)
+   * @param {number} options.temperature - Softmax temperature (default: 0.05)
+   */
+  constructor(options = {}) {
+    const prototypes = options.prototypes || SIGNAL_TYPE_PROTOTYPES;
+    const exemplars = options.exemplars || {};
+
+    this.types = options.types || Object.keys(prototypes);
+    this.keywordWeight = options.keywordWeight ?? DEFAULT_KEYWORD_WEIGHT;
+    this.temperature = options.temperature || DEFAULT_TEMPERATURE;
+
+    // Flattened (type, text) pairs; embeddings line up once init() has run
+    this.examples = [];
+    for (const type of this.types) {
+      const texts = [...(prototypes[type] || []), ...(exemplars[type] || [])];
+      if (texts.length === 0) {
+        throw new Error(`Signal type "${type}" has no prototypes or exemplars`);
+      }
+      texts.forEach(text => this.examples.push({ type, text }));
+    }
+    this.embeddings = null;
+  }
+
+  /**
+   * Embed the prototypes and exemplars (cached by the EmbeddingContext)
+   * @param {EmbeddingContext} embeddingContext - Initialized embedding context
+   * @param {Object} options - Options ({ signal })
+   */
+  async init(embeddingContext, options = {}) {
+    this.embeddings = await embeddingContext.embedBatch(
+      this.examples.map(example => example.text),
+      { role: 'query', signal: options.signal }
+    );
+  }
+
+  /**
+   * Classify an item from its embedding
+   * @param {Float32Array|null} embedding - Item embedding (null: keyword evidence only)
+   * @param {Object} keywordResult - Result of FilterContext.classifySignalType (optional)
+   * @returns {{type: string, probabilities: Object<string, number>}} Most likely type and per-type probabilities
+   */
+  classify(embedding, keywordResult = null) {
+    if (!this.embeddings) {
+      throw new Error('SignalClassifier used before init()');
+    }
+
+    const similarities = {};
+    this.types.forEach(type => { similarities[type] = -1; });
+    if (embedding) {
+      this.examples.forEach(({ type }, idx) => {
+        similarities[type] = Math.max(similarities[type], cosineSimilarity(embedding, this.embeddings[idx]));
+      });
+    }
+    const probabilities = softmax(similarities, this.temperature);
+
+    // Blend in keyword hits, split between matched types by keyword score
+    const matches = (keywordResult?.matches || []).filter(match => this.types.includes(match.type));
+    if (matches.length > 0) {
+      const totalScore = matches.reduce((sum, match) => sum + match.score, 0);
+      const weight = this.keywordWeight * Math.max(...matches.map(match => match.score));
+      for (const type of this.types) {
+        probabilities[type] *= 1 - weight;
+      }
+      for (const match of matches) {
+        probabilities[match.type] += weight * (match.score / totalScore);
+      }
+    }
+
+    // Ties (e.g. no embedding) go to the keyword classifier's answer
+    let best = this.types.includes(keywordResult?.type) ? keywordResult.type : this.types[0];
+    for (const type of this.types) {
+      if (probabilities[type] > probabilities[best]) best = type;
+    }
+
+    return { type: best, probabilities };
+  }
+}
+
+export default {
+  SIGNAL_TYPE_PROTOTYPES,
+  SignalClassifier
+};
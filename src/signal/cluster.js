@@ -0,0 +1,140 @@
+/**
+ * Near-Duplicate Clustering
+ * Groups the same story seen on several sources into one signal
+ *
+ * A GitHub repo, the HN post about it and the Reddit thread discussing it
+ * embed close together. Items whose similarity to a cluster's canonical item
+ * clears the threshold are merged into that cluster; the canonical item keeps
+ * its own fields and gains a `cluster` summary with every source and URL.
+ */
+
+import { cosineSimilarity } from './embeddings.js';
+import { calculateEngagementScore } from './scoring.js';
+
+// Similarity needed to count as the same story (MiniLM-sized models)
+const DEFAULT_DUPLICATE_THRESHOLD = 0.85;
+
+// Numeric metadata fields summed across cluster members
+const ENGAGEMENT_FIELDS = [
+  'stars', 'forks', 'points', 'score', 'comments',
+  'reactions', 'likes', 'downloads', 'votes', 'upvotes'
+];
+
+/**
+ * Order items by how well they represent a cluster
+ * Highest relevance first, then highest engagement.
+ */
+function compareCanonical(a, b) {
+  const relevanceDiff = (b.filter_result?.relevance_score || 0) - (a.filter_result?.relevance_score || 0);
+  if (relevanceDiff !== 0) return relevanceDiff;
+  return calculateEngagementScore(b) - calculateEngagementScore(a);
+}
+
+/**
+ * Sum engagement metadata across cluster members
+ */
+function mergeEngagement(members) {
+  const engagement = {};
+  for (const member of members) {
+    const meta = member.metadata || {};
+    for (const field of ENGAGEMENT_FIELDS) {
+      if (typeof meta[field] === 'number') {
+        engagement[field] = (engagement[field] || 0) + meta[field];
+      }
+    }
+  }
+  return engagement;
+}
+
+/**
+ * Cluster near-duplicate items by embedding similarity
+ *
+ * Greedy leader clustering: items are visited best-first and join the most
+ * similar existing canonical item above the threshold, or start a new cluster.
+ * Comparing against the canonical item only (not every member) keeps clusters
+ * from chaining loosely related stories together.
+ *
+ * @param {Object[]} items - Items to cluster (signals with filter_result)
+ * @param {Array<Float32Array|null>} embeddings - Embedding per item, in input order (null = never clustered)
+ * @param {Object} options - Clustering options
+ * @param {number} options.threshold - Min cosine similarity to the canonical item (default: 0.85)
+ * @returns {{items: Object[], duplicates: Array<{item: Object, canonicalId: string, similarity: number}>}}
+ *   Canonical items (clustered ones carry `cluster`) and the items merged into them
+ */
+export function clusterNearDuplicates(items, embeddings, options = {}) {
+  const { threshold = DEFAULT_DUPLICATE_THRESHOLD } = options;
+
+  const order = items.map((_, idx) => idx).sort((a, b) => compareCanonical(items[a], items[b]));
+  const clusters = [];
+  const clusterOf = new Map();
+
+  for (const idx of order) {
+    const embedding = embeddings[idx];
+    let best = null;
+    let bestSimilarity = threshold;
+
+    if (embedding) {
+      for (const cluster of clusters) {
+        if (!cluster.embedding) continue;
+        const similarity = cosineSimilarity(embedding, cluster.embedding);
+        if (similarity >= bestSimilarity) {
+          best = cluster;
+          bestSimilarity = similarity;
+        }
+      }
+    }
+
+    if (best) {
+      best.members.push({ idx, similarity: bestSimilarity });
+      clusterOf.set(idx, best);
+    } else {
+      const cluster = { canonical: idx, embedding, members: [{ idx, similarity: 1 }] };
+      clusters.push(cluster);
+      clusterOf.set(idx, cluster);
+    }
+  }
+
+  const result = [];
+  const duplicates = [];
+
+  // Keep the input order of canonical items
+  items.forEach((item, idx) => {
+    const cluster = clusterOf.get(idx);
+    if (cluster.canonical !== idx) return;
+
+    if (cluster.members.length === 1) {
+      result.push(item);
+      return;
+    }
+
+    const members = cluster.members.map(({ idx: memberIdx }) => items[memberIdx]);
+    cluster.members.slice(1).forEach(({ idx: memberIdx, similarity }) => {
+      duplicates.push({ item: items[memberIdx], canonicalId: item.id, similarity });
+    });
+
+    result.push({
+      ...item,
+      cluster: {
+        size: members.length,
+        min_similarity: Math.round(Math.min(...cluster.members.map(m => m.similarity)) * 100),
+        sources: [...new Set(members.map(m => m.source || 'unknown'))],
+        urls: [...new Set(members.map(m => m.url).filter(Boolean))],
+        engagement: mergeEngagement(members),
+        members: members.map(m => ({
+          id: m.id,
+          source: m.source,
+          title: m.title,
+          url: m.url,
+          relevance_score: m.filter_result?.relevance_score,
+          metadata: m.metadata
+        }))
+      }
+    });
+  });
+
+  return { items: result, duplicates };
+}
+
+export default {
+  clusterNearDuplicates
+};
@@ -0,0 +1,334 @@
+/**
+ * Context Parser
+ * Reads the user's markdown context document into a structured profile
+ *
+ * Filtering (signal keywords, topics), classification and context-point
+ * embeddings all work from the same ContextProfile, so they agree on what
+ * the document says. Handles #-###### headings, nested and numbered lists,
+ * bold terms, questions and fenced code blocks (skipped).
+ *
+ * A document may start with YAML front matter, and a structured profile
+ * (see profile.js) can be given instead of markdown.
+ */
+
+import { splitProfileFrontMatter, profileToMarkdown, validateProfile } from './profile.js';
+
+// Section headings that map to a signal type, to what the user is building,
+// or to watched keywords and excluded topics
+// Matched against whole words anywhere in the heading; first match wins.
+// Excluded sections drop content from the context, so only explicit headings
+// count: "not interested" anywhere, or one starting with exclude(d)/exclusions/off-topic
+const SECTION_TYPES = [
+  { pattern: /\bnot\s+interested\b|^(?:exclude[ds]?|exclusions?|off[-\s]?topic)\b/i, type: 'excluded' },
+  { pattern: /\b(?:what\s*i'?m?\s*building|product|project|building)\b/i, type: 'building' },
+  // Before 'watched', so "Competitors I'm Watching" stays competitive
+  { pattern: /\b(?:competitors?|watching|alternatives?|competition)\b/i, type: 'competitive' },
+  { pattern: /\b(?:watch\s*list|watched|keywords?)\b/i, type: 'watched' },
+  { pattern: /\b(?:questions?|assumptions?|thesis|hypothes[ie]s|validat(?:e|ing))\b/i, type: 'thesis-challenging' },
+  { pattern: /\b(?:pain\s*points?|problems?|opportunit(?:y|ies)|gaps?|needs?)\b/i, type: 'opportunity' },
+  { pattern: /\b(?:technolog(?:y|ies)|stack|tools?|frameworks?|librar(?:y|ies))\b/i, type: 'technical' },
+  { pattern: /\b(?:trends?|market|industry|growth)\b/i, type: 'trend' }
+];
+
+// A bullet lead that reads as a name (e.g. "Cursor", "GitHub Copilot")
+const NAME_PATTERN = /^[A-Z][a-zA-Z0-9.-]*(?:\s+[A-Z][a-zA-Z0-9.-]*)?$/;
+const MAX_NAME_LENGTH = 30;
+
+// Separators between a bullet's lead and its description ("Acme — does X")
+const LEAD_SEPARATOR = /\s+[—–-]\s+|:\s+/;
+
+// Building description: "**Name** — what it does"
+const BUILDING_PATTERN = /\*\*([^*]+)\*\*\s*[—–-]\s*([^.\n]+)/;
+
+// Section type -> profile definition field (markdownToProfile)
+const PROFILE_LIST_FIELDS = {
+  competitive: 'competitors',
+  technical: 'technologies',
+  opportunity: 'painPoints',
+  'thesis-challenging': 'assumptions',
+  trend: 'trends',
+  watched: 'watching',
+  excluded: 'exclude'
+};
+
+/**
+ * Parsed context document
+ *
+ * @typedef {Object} ContextProfile
+ * @property {string|null} title - First level-1 heading
+ * @property {ContextSection[]} sections - Sections in document order (text before the first heading has heading null)
+ * @property {ContextBullet[]} bullets - Every list item, in document order (excluded sections left out)
+ * @property {string[]} boldTerms - Bold (**term** / __term__) text, in document order (excluded sections left out)
+ * @property {string[]} questions - List items and lines ending in '?' (excluded sections left out)
+ * @property {string[]} competitors - Names listed under competitor sections
+ * @property {{name: string, description: string}|null} building - What the user is building
+ * @property {string[]} watched - Items listed under watch-list sections, kept as keywords
+ * @property {string[]} excluded - Items and lines under "Not Interested In" style sections
+ * @property {string} text - The document without excluded sections or front matter, for embedding
+ */
+
+/**
+ * @typedef {Object} ContextSection
+ * @property {string|null} heading - Heading text (markdown removed)
+ * @property {number} level - Heading level (0 before the first heading)
+ * @property {string|null} type - Signal type, 'building', 'watched' or 'excluded', from the heading or the nearest parent heading
+ * @property {ContextBullet[]} bullets - List items in the section
+ * @property {string[]} paragraphs - Other non-empty lines
+ * @property {string[]} boldTerms - Bold text in the section
+ * @property {string[]} questions - Questions in the section
+ */
+
+/**
+ * @typedef {Object} ContextBullet
+ * @property {string} text - Item text (markdown removed)
+ * @property {string} lead - Leading name: bold text at the start, or the text before a dash/colon separator
+ * @property {number} depth - Nesting depth (0 = top level)
+ * @property {boolean} ordered - Numbered list item
+ * @property {string|null} section - Heading of the containing section
+ * @property {string|null} sectionType - Type of the containing section
+ */
+
+/**
+ * Signal type a heading maps to, or null
+ */
+function getSectionType(heading) {
+  const match = SECTION_TYPES.find(({ pattern }) => pattern.test(heading));
+  return match ? match.type : null;
+}
+
+/**
+ * Bold terms in a line of markdown
+ */
+function extractBold(line) {
+  const terms = [];
+  const boldRegex = /\*\*([^*]+)\*\*|__([^_]+)__/g;
+  let match;
+  while ((match = boldRegex.exec(line)) !== null) {
+    const term = (match[1] || match[2]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Markdown line to plain text (emphasis, code and links removed)
+ */
+function stripInline(line) {
+  return line
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, '$1$2')
+    .replace(/(^|[^\w*])[*_]([^*_]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Leading name of a list item
+ */
+function getLead(raw, text) {
+  const bold = raw.match(/^\s*(?:\*\*([^*]+)\*\*|__([^_]+)__)/);
+  if (bold) return (bold[1] || bold[2]).trim();
+  return text.split(LEAD_SEPARATOR)[0].trim();
+}
+
+/**
+ * Whether a bullet lead reads as a name
+ * @param {string} lead - Bullet lead
+ * @returns {boolean}
+ */
+export function isNameLike(lead) {
+  return lead.length < MAX_NAME_LENGTH && NAME_PATTERN.test(lead);
+}
+
+/**
+ * Markdown for a document that may start with YAML front matter
+ * A profile in the front matter is converted with profileToMarkdown and put
+ * before the body; other front matter is dropped.
+ */
+function resolveFrontMatter(markdown) {
+  const { profile, body } = splitProfileFrontMatter(markdown);
+  if (!profile) return body;
+  // Interests may be written in the body instead
+  return profileToMarkdown(profile, { requireInterests: !body.trim() }) + '\n' + body;
+}
+
+/**
+ * Parse a markdown context document
+ *
+ * @param {string} markdown - Context document, optionally with YAML front matter
+ * @returns {ContextProfile} Structured profile
+ */
+export function parseContext(markdown) {
+  const profile = {
+    title: null,
+    sections: [],
+    bullets: [],
+    boldTerms: [],
+    questions: [],
+    competitors: [],
+    building: null,
+    watched: [],
+    excluded: [],
+    text: ''
+  };
+  if (!markdown || typeof markdown !== 'string') return profile;
+
+  let section = { heading: null, level: 0, type: null, bullets: [], paragraphs: [], boldTerms: [], questions: [] };
+  profile.sections.push(section);
+  // Open headings by level, so subsections inherit their parent's type
+  const headingStack = [];
+  const textLines = [];
+  let inCodeBlock = false;
+
+  for (const line of resolveFrontMatter(markdown).split(/\r?\n/)) {
+    const heading = inCodeBlock ? null : line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      const text = stripInline(heading[2]);
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+        headingStack.pop();
+      }
+      const parentType = headingStack.length > 0 ? headingStack[headingStack.length - 1].type : null;
+
+      section = {
+        heading: text,
+        level,
+        type: getSectionType(text) || parentType,
+        bullets: [],
+        paragraphs: [],
+        boldTerms: [],
+        questions: []
+      };
+      headingStack.push(section);
+      profile.sections.push(section);
+      if (level === 1 && profile.title === null) profile.title = text;
+    }
+
+    const excluded = section.type === 'excluded';
+    if (!excluded) textLines.push(line);
+    if (heading) continue;
+
+    if (/^\s*(?:```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock || !line.trim()) continue;
+
+    const bold = extractBold(line);
+    section.boldTerms.push(...bold);
+    if (!excluded) profile.boldTerms.push(...bold);
+
+    if (!profile.building && !excluded) {
+      const building = line.match(BUILDING_PATTERN);
+      if (building) profile.building = { name: building[1].trim(), description: building[2].trim() };
+    }
+
+    const bullet = line.match(/^(\s*)(?:([-*+])|\d+[.)])\s+(.+)$/);
+    let text;
+    if (bullet) {
+      const indent = bullet[1].replace(/\t/g, '    ').length;
+      text = stripInline(bullet[3]);
+      if (!text) continue;
+
+      const item = {
+        text,
+        lead: getLead(bullet[3], text),
+        depth: Math.floor(indent / 2),
+        ordered: !bullet[2],
+        section: section.heading,
+        sectionType: section.type
+      };
+      section.bullets.push(item);
+      if (excluded) {
+        profile.excluded.push(text);
+      } else {
+        profile.bullets.push(item);
+      }
+
+      if (section.type === 'watched' && !profile.watched.includes(text)) {
+        profile.watched.push(text);
+      }
+      if (section.type === 'competitive' && isNameLike(item.lead) && !profile.competitors.includes(item.lead)) {
+        profile.competitors.push(item.lead);
+      }
+    } else {
+      text = stripInline(line);
+      section.paragraphs.push(text);
+      if (excluded) profile.excluded.push(text);
+    }
+
+    if (text.endsWith('?')) {
+      section.questions.push(text);
+      if (!excluded) profile.questions.push(text);
+    }
+  }
+
+  profile.text = textLines.join('\n').trim();
+  return profile;
+}
+
+/**
+ * Profile for a context given as markdown, JSON, a profile definition or an already parsed profile
+ * @param {string|ProfileDefinition|ContextProfile} context - Context document, definition or profile
+ * @returns {ContextProfile}
+ */
+export function toContextProfile(context) {
+  if (typeof context === 'string' && context.trim().startsWith('{')) {
+    let definition;
+    try {
+      definition = JSON.parse(context);
+    } catch (error) {
+      throw new Error(`Context looks like a JSON profile but could not be parsed: ${error.message}`);
+    }
+    return parseContext(profileToMarkdown(definition));
+  }
+  if (typeof context === 'string' || !context) return parseContext(context);
+  if (Array.isArray(context.sections)) return context;
+  return parseContext(profileToMarkdown(context));
+}
+
+/**
+ * Convert a markdown context document to a structured profile definition
+ *
+ * Items are taken from sections whose headings map to a profile field;
+ * questions in assumption sections are kept even when not listed.
+ *
+ * @param {string} markdown - Context document
+ * @returns {ProfileDefinition} Validated profile definition
+ */
+export function markdownToProfile(markdown) {
+  const profile = parseContext(markdown);
+  const definition = {};
+
+  if (profile.title) definition.name = profile.title;
+
+  if (profile.building) {
+    definition.building = { ...profile.building };
+  } else {
+    const section = profile.sections.find(s => s.type === 'building' && s.paragraphs.length > 0);
+    if (section) definition.building = section.paragraphs.join(' ');
+  }
+
+  for (const section of profile.sections) {
+    const field = PROFILE_LIST_FIELDS[section.type];
+    if (!field) continue;
+    const entries = section.bullets.map(bullet => bullet.text);
+    if (section.type === 'thesis-challenging' || section.type === 'excluded') {
+      entries.push(...(section.type === 'excluded' ? section.paragraphs : section.questions));
+    }
+    for (const entry of entries) {
+      definition[field] = definition[field] || [];
+      if (!definition[field].includes(entry)) definition[field].push(entry);
+    }
+  }
+
+  return validateProfile(definition);
+}
+
+export default {
+  parseContext,
+  toContextProfile,
+  markdownToProfile,
+  isNameLike
+};
@@ -0,0 +1,71 @@
+/**
+ * Embedding Worker
+ * Worker entry point for WorkerEmbeddingProvider (see worker.js)
+ *
+ * Runs a TransformersProvider off the main thread. Loaded as a module Web
+ * Worker in the browser and as a worker_threads Worker in Node.js.
+ *
+ * Messages in:  { id, type: 'init' | 'embed' | 'countTokens' | 'dispose', payload }
+ * Messages out: { id, type: 'result' | 'progress' | 'error', ... }
+ */
+
+import { TransformersProvider } from './providers.js';
+
+let provider = null;
+
+/**
+ * Handle one request from the main thread
+ * @param {Object} message - Request message
+ * @param {function(Object, Transferable[]=): void} post - Reply to the main thread
+ */
+async function handleMessage({ id, type, payload = {} }, post) {
+  try {
+    switch (type) {
+      case 'init': {
+        provider = new TransformersProvider(payload.options);
+        await provider.init({
+          onProgress: progress => post({ id, type: 'progress', progress })
+        });
+        post({ id, type: 'result', result: null });
+        break;
+      }
+
+      case 'embed': {
+        if (!provider) throw new Error('Embedding worker used before init');
+        const embeddings = await provider.embedBatch(payload.texts);
+        // Each embedding owns its buffer, so they can be transferred without copying
+        post({ id, type: 'result', result: embeddings }, embeddings.map(e => e.buffer));
+        break;
+      }
+
+      case 'countTokens': {
+        if (!provider) throw new Error('Embedding worker used before init');
+        post({ id, type: 'result', result: await provider.countTokens(payload.text) });
+        break;
+      }
+
+      case 'dispose': {
+        await provider?.dispose();
+        provider = null;
+        post({ id, type: 'result', result: null });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown embedding worker request "${type}"`);
+    }
+  } catch (error) {
+    post({ id, type: 'error', error: { name: error.name, message: error.message } });
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = event => handleMessage(event.data, (message, transfer) => self.postMessage(message, transfer));
+} else {
+  // Messages sent before the listener is attached are queued by the port
+  import('worker_threads').then(({ parentPort }) => {
+    parentPort.on('message', message =>
+      handleMessage(message, (reply, transfer) => parentPort.postMessage(reply, transfer))
+    );
+  });
+}
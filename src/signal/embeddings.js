@@ -1,44 +1,33 @@
 /**
- * Embedding Service using @xenova/transformers
- * Runs locally - no API costs, semantic understanding
+ * Embedding Service
+ * Runs locally by default (@xenova/transformers) - no API costs, semantic understanding.
+ * Other backends plug in through the EmbeddingProvider interface (see providers.js).
  *
  * Uses request-scoped EmbeddingContext to prevent cross-request
  * contamination in serverless environments.
  */
 
-import { pipeline, env } from '@xenova/transformers';
-
-// Configure transformers.js
-env.allowLocalModels = false;
-
-// Detect environment
-const isBrowser = typeof window !== 'undefined';
-
-// Simple hash function for cache keys (works in both Node.js and browser)
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return hash.toString(36);
-}
-
-// Model - all-MiniLM-L6-v2 is small (~23MB) and fast
-const MODEL_NAME = 'Xenova/all-MiniLM-L6-v2';
-
-// Shared pipeline (safe to share across requests - stateless)
-let sharedPipeline = null;
-
-// Chunking parameters for long text
-const CHUNK_SIZE = 1800;
-const CHUNK_OVERLAP = 200;
+import { createCacheKey } from './cache.js';
+import { TransformersProvider, isInitialized, disposePipeline, disposeAllPipelines } from './providers.js';
+import { WorkerEmbeddingProvider } from './worker.js';
+import { getModelProfile, getRolePrefix } from './models.js';
+import { throwIfAborted } from './abort.js';
+import { CHUNK_AGGREGATIONS, chunkByTokens, aggregateChunkEmbeddings } from './chunking.js';
+import { toContextProfile } from './context.js';
+
+// Chunking parameters for long text (tokens; the window defaults to the
+// model profile's maxTokens)
+const CHUNK_OVERLAP_TOKENS = 32;
+const SPECIAL_TOKEN_RESERVE = 2; // [CLS]/[SEP] or <s>/</s>
 const CHUNK_WEIGHT_DECAY = 0.8; // Earlier chunks get more weight
+const CHARS_PER_TOKEN_ESTIMATE = 4; // For providers without a tokenizer
 
 // Embedding cache defaults
 const DEFAULT_CACHE_SIZE = 1000;
 
+// Texts per forward pass when batching (padded to the longest in the batch)
+const DEFAULT_BATCH_SIZE = 32;
+
 // Context point extraction limits
 const MIN_BULLET_LENGTH = 10;
 const MAX_BULLET_LENGTH = 200;
@@ -48,6 +37,31 @@ const MAX_CONTEXT_POINTS = 30;
 // Similarity thresholds
 const MIN_POINT_MATCH_SCORE = 0.35;
 
+// Context scoring modes
+// - centroid: one embedding for the whole context (default)
+// - max: best similarity across individual context points
+// - top-k-mean: mean of the k best point similarities
+const SCORING_MODES = ['centroid', 'max', 'top-k-mean'];
+const DEFAULT_TOP_K = 3;
+
+/**
+ * Text used to embed an item (title + description)
+ */
+function getItemText(item) {
+  return `${item.title || ''} ${item.description || ''}`.trim();
+}
+
+/**
+ * Default local provider, inline or worker-backed
+ */
+function createLocalProvider(options) {
+  if (!options.worker) {
+    return new TransformersProvider(options);
+  }
+  const workerOptions = typeof options.worker === 'object' ? options.worker : {};
+  return new WorkerEmbeddingProvider({ ...options, ...workerOptions });
+}
+
 /**
  * Simple LRU cache implementation for embedding caching
  */
@@ -79,6 +93,17 @@ class LRUCache {
     this.cache.clear();
   }
 
+  /**
+   * Change the capacity, evicting the least recently used entries that no longer fit
+   */
+  resize(maxSize) {
+    this.maxSize = maxSize;
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= maxSize) break;
+      this.cache.delete(key);
+    }
+  }
+
   get size() {
     return this.cache.size;
   }
@@ -89,116 +114,290 @@ class LRUCache {
  * Create one per request to avoid cross-request contamination
  */
 export class EmbeddingContext {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.cacheSize - Max cached embeddings (default: 1000)
+   * @param {EmbeddingProvider} options.provider - Embedding backend (default: TransformersProvider built from the options below)
+   * @param {boolean|Object} options.worker - Run the local model off the main thread: true, or { poolSize, workerUrl }
+   * @param {string} options.modelName - Model ID (default: 'Xenova/all-MiniLM-L6-v2')
+   * @param {boolean} options.quantized - Load the quantized ONNX weights (default: true)
+   * @param {Object} options.modelProfile - Overrides for the model profile (prefixes, pooling, maxTokens, normalize)
+   * @param {string} options.localModelPath - Directory holding model folders (`<path>/<modelName>/`)
+   * @param {string} options.cacheDir - Directory for downloaded model files (Node.js)
+   * @param {boolean} options.allowRemoteModels - Fetch from the Hugging Face hub when missing locally (default: true)
+   * @param {number} options.batchSize - Texts per forward pass in batch methods (default: 32)
+   * @param {EmbeddingCacheStore} options.cacheStore - Optional persistent store behind the in-memory LRU
+   * @param {string} options.scoringMode - 'centroid', 'max' or 'top-k-mean' (default: 'centroid')
+   * @param {number} options.topK - Points averaged in 'top-k-mean' mode (default: 3)
+   * @param {number} options.chunkTokens - Tokens per chunk for long text (default: provider or profile maxTokens minus special tokens)
+   * @param {number} options.chunkOverlapTokens - Tokens shared between consecutive chunks (default: 32)
+   * @param {string} options.chunkAggregation - 'weighted-mean', 'max' or 'first' (default: 'weighted-mean')
+   */
   constructor(options = {}) {
     this.contextEmbedding = null;
     this.contextPoints = null;
+    this.exclusionPoints = null;
     this.cache = new LRUCache(options.cacheSize || DEFAULT_CACHE_SIZE);
-    this.modelName = options.modelName || MODEL_NAME;
+    this.provider = options.provider || createLocalProvider(options);
+    // A provider that knows its input limit overrides the profile's; modelProfile overrides both
+    this.profile = getModelProfile(this.provider.modelId, {
+      ...(this.provider.maxTokens && { maxTokens: this.provider.maxTokens }),
+      ...options.modelProfile
+    });
+    this.chunkTokens = options.chunkTokens || this.profile.maxTokens - SPECIAL_TOKEN_RESERVE;
+    this.chunkOverlapTokens = options.chunkOverlapTokens ?? CHUNK_OVERLAP_TOKENS;
+    this.chunkAggregation = validateChunkAggregation(options.chunkAggregation || 'weighted-mean');
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.cacheStore = options.cacheStore || null;
+    this.scoringMode = validateScoringMode(options.scoringMode || 'centroid');
+    this.topK = options.topK || DEFAULT_TOP_K;
   }
 
   /**
-   * Initialize the shared embedding pipeline
+   * Model identifier of the active provider
+   */
+  get modelName() {
+    return this.provider.modelId;
+  }
+
+  /**
+   * Initialize the embedding provider (loads the model for local providers)
    * @param {Object} options - Init options
    * @param {Function} options.onProgress - Progress callback for model download
    */
   async init(options = {}) {
-    if (sharedPipeline) return sharedPipeline;
+    if (this.provider.init) {
+      return this.provider.init(options);
+    }
+    return null;
+  }
 
-    const { onProgress } = options;
+  /**
+   * Generate embedding for text with caching
+   * @param {string} text - Text to embed
+   * @param {Object} options - Options
+   * @param {string} options.role - 'query' (context), 'passage' (items) or omitted for raw text
+   * @param {AbortSignal} options.signal - Rejects with AbortError once aborted
+   */
+  async embed(text, options = {}) {
+    const [embedding] = await this.embedBatch([text], options);
+    return embedding;
+  }
 
-    if (!isBrowser) {
-      console.log('Loading embedding model...');
+  /**
+   * Generate embeddings for many texts with caching
+   * Looks in the in-memory LRU, then the cache store; uncached texts are sent
+   * to the provider in batches. Texts over the token window are chunked
+   * separately so results match single-text embedding.
+   *
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} options - Batch options
+   * @param {number} options.batchSize - Texts per forward pass (default: context batchSize)
+   * @param {string} options.role - 'query' (context), 'passage' (items) or omitted for raw text;
+   *   selects the model profile's prefix
+   * @param {AbortSignal} options.signal - Checked between forward passes; rejects with AbortError
+   * @returns {Promise<Float32Array[]>} Embeddings in input order
+   */
+  async embedBatch(texts, options = {}) {
+    const { batchSize = this.batchSize, role = null, signal = null } = options;
+    throwIfAborted(signal);
+    const prefix = getRolePrefix(this.profile, role);
+    const results = new Array(texts.length);
+    const settings = this.getEmbeddingSettings();
+    const keys = await Promise.all(texts.map(text => createCacheKey(settings, prefix + text)));
+
+    // Group uncached texts by key so duplicates are embedded once
+    const pending = new Map();
+    texts.forEach((text, idx) => {
+      const key = keys[idx];
+      const cached = this.cache.get(key);
+      if (cached) {
+        results[idx] = cached;
+        return;
+      }
+      if (!pending.has(key)) {
+        pending.set(key, { text, indices: [] });
+      }
+      pending.get(key).indices.push(idx);
+    });
+
+    const resolve = (key, embedding) => {
+      this.cache.set(key, embedding);
+      pending.get(key).indices.forEach(idx => { results[idx] = embedding; });
+      pending.delete(key);
+    };
+
+    if (this.cacheStore && pending.size > 0) {
+      const stored = await this.cacheStore.load([...pending.keys()]);
+      stored.forEach((embedding, key) => resolve(key, embedding));
     }
-    const startTime = Date.now();
 
-    sharedPipeline = await pipeline('feature-extraction', this.modelName, {
-      quantized: true,
-      progress_callback: onProgress
-    });
+    const computed = [];
+    const shortKeys = [];
+    for (const [key, entry] of pending) {
+      const chunks = await this._chunkText(entry.text, prefix);
+      if (chunks.length === 1) {
+        shortKeys.push(key);
+      } else {
+        computed.push({ key, embedding: await this._embedChunks(chunks, prefix, signal) });
+      }
+    }
 
-    if (!isBrowser) {
-      console.log(`Model loaded in ${Date.now() - startTime}ms`);
+    for (let i = 0; i < shortKeys.length; i += batchSize) {
+      const batchKeys = shortKeys.slice(i, i + batchSize);
+      const embeddings = await this._embedWithProvider(batchKeys.map(key => prefix + pending.get(key).text), signal);
+      batchKeys.forEach((key, j) => computed.push({ key, embedding: embeddings[j] }));
     }
-    return sharedPipeline;
+
+    computed.forEach(({ key, embedding }) => resolve(key, embedding));
+    if (this.cacheStore && computed.length > 0) {
+      await this.cacheStore.save(computed);
+    }
+
+    return results;
   }
 
   /**
-   * Generate embedding for text with caching
+   * Grow the in-memory cache so `count` embeddings fit on top of the usual headroom
+   * For scoring the same items several times (filterProfiles) without re-embedding them.
+   * Pass the returned size to restoreCacheCapacity when the run ends.
+   * @param {number} count - Entries to make room for
+   * @returns {number} Capacity before the call
    */
-  async embed(text) {
-    if (!sharedPipeline) {
-      await this.init();
-    }
+  ensureCacheCapacity(count) {
+    const previous = this.cache.maxSize;
+    this.cache.resize(Math.max(previous, count + DEFAULT_CACHE_SIZE));
+    return previous;
+  }
 
-    const hash = hashString(text);
-    const cached = this.cache.get(hash);
-    if (cached) {
-      return cached;
-    }
+  /**
+   * Shrink the in-memory cache back to a capacity returned by ensureCacheCapacity
+   * @param {number} size - Capacity to restore
+   */
+  restoreCacheCapacity(size) {
+    this.cache.resize(size);
+  }
 
-    const embedding = await this._computeEmbedding(text);
-    this.cache.set(hash, embedding);
-    return embedding;
+  /**
+   * Settings that determine the embedding vector for a given text
+   * Used to key cached embeddings; the object is stable per context.
+   * @returns {Object} Embedding settings
+   */
+  getEmbeddingSettings() {
+    if (!this._embeddingSettings) {
+      this._embeddingSettings = {
+        modelName: this.modelName,
+        ...(this.provider.getSettings ? this.provider.getSettings() : {}),
+        chunkTokens: this.chunkTokens,
+        chunkOverlapTokens: this.chunkOverlapTokens,
+        chunkAggregation: this.chunkAggregation,
+        chunkWeightDecay: CHUNK_WEIGHT_DECAY
+      };
+    }
+    return this._embeddingSettings;
   }
 
   /**
-   * Internal: compute embedding for text (handles chunking)
+   * Release this context's cached embeddings and its provider's resources
+   * For the default provider this releases the shared pipeline for its model;
+   * it is freed once no other context uses it.
    */
-  async _computeEmbedding(text) {
-    if (text.length <= CHUNK_SIZE) {
-      const output = await sharedPipeline(text, {
-        pooling: 'mean',
-        normalize: true
-      });
-      return output.data;
+  async dispose() {
+    await this.flush();
+    this.cache.clear();
+    this.contextEmbedding = null;
+    this.contextPoints = null;
+    this.exclusionPoints = null;
+    if (this.provider.dispose) {
+      await this.provider.dispose();
     }
+  }
 
-    // Split into overlapping chunks for long text
-    const chunks = [];
-    for (let i = 0; i < text.length; i += (CHUNK_SIZE - CHUNK_OVERLAP)) {
-      chunks.push(text.slice(i, i + CHUNK_SIZE));
+  /**
+   * Cancel in-flight embedding work (worker-backed providers only)
+   * Pending calls reject with an AbortError.
+   */
+  async cancel() {
+    if (this.provider.cancel) {
+      await this.provider.cancel();
     }
+  }
 
-    const embeddings = [];
-    for (const chunk of chunks) {
-      const output = await sharedPipeline(chunk, {
-        pooling: 'mean',
-        normalize: true
-      });
-      embeddings.push(output.data);
+  /**
+   * Persist buffered cache store writes (no-op without a cache store)
+   */
+  async flush() {
+    if (this.cacheStore?.flush) {
+      await this.cacheStore.flush();
     }
+  }
 
-    // Weighted averaging: Earlier chunks get higher weight
-    const weights = embeddings.map((_, idx) => Math.pow(CHUNK_WEIGHT_DECAY, idx));
-    const totalWeight = weights.reduce((a, b) => a + b, 0);
+  /**
+   * Internal: embed a batch of raw (already chunked) texts with the provider
+   */
+  async _embedWithProvider(texts, signal = null) {
+    throwIfAborted(signal);
+    return this.provider.embedBatch(texts, { signal });
+  }
 
-    const avgEmbedding = new Float32Array(embeddings[0].length);
-    for (let i = 0; i < embeddings.length; i++) {
-      const weight = weights[i] / totalWeight;
-      const emb = embeddings[i];
-      for (let j = 0; j < emb.length; j++) {
-        avgEmbedding[j] += emb[j] * weight;
-      }
+  /**
+   * Internal: count tokens with the provider's tokenizer, or estimate from length
+   */
+  async _countTokens(text) {
+    if (this.provider.countTokens) {
+      return this.provider.countTokens(text);
     }
+    return Math.ceil(text.length / CHARS_PER_TOKEN_ESTIMATE);
+  }
 
-    // Normalize
-    let norm = 0;
-    for (let i = 0; i < avgEmbedding.length; i++) {
-      norm += avgEmbedding[i] * avgEmbedding[i];
-    }
-    norm = Math.sqrt(norm);
-    for (let i = 0; i < avgEmbedding.length; i++) {
-      avgEmbedding[i] /= norm;
+  /**
+   * Internal: split text into token windows that fit alongside the role prefix
+   * @returns {Promise<string[]>} One chunk when the text fits
+   */
+  async _chunkText(text, prefix = '') {
+    const prefixTokens = prefix ? await this._countTokens(prefix) : 0;
+    const budget = Math.max(1, this.chunkTokens - prefixTokens);
+    return chunkByTokens(text, {
+      budget,
+      overlap: Math.min(this.chunkOverlapTokens, Math.floor(budget / 2)),
+      countTokens: chunk => this._countTokens(chunk)
+    });
+  }
+
+  /**
+   * Internal: embed chunks of one text and aggregate them into a single vector
+   * Each chunk gets the role prefix; 'first' only embeds the first chunk.
+   */
+  async _embedChunks(chunks, prefix = '', signal = null) {
+    const selected = this.chunkAggregation === 'first' ? chunks.slice(0, 1) : chunks;
+
+    const embeddings = [];
+    for (let i = 0; i < selected.length; i += this.batchSize) {
+      const batch = selected.slice(i, i + this.batchSize).map(chunk => prefix + chunk);
+      embeddings.push(...await this._embedWithProvider(batch, signal));
     }
 
-    return avgEmbedding;
+    return aggregateChunkEmbeddings(embeddings, this.chunkAggregation, CHUNK_WEIGHT_DECAY);
   }
 
   /**
    * Set the context embedding from user's context document
+   * Context text is embedded with the model profile's query prefix.
+   * Point-based scoring modes also embed each bullet/question separately.
+   * @param {string} contextText - Context document (markdown)
+   * @param {Object} options - Options
+   * @param {string} options.scoringMode - Override the context's scoring mode
+   * @param {AbortSignal} options.signal - Rejects with AbortError once aborted
    */
-  async setContext(contextText) {
-    this.contextEmbedding = await this.embed(contextText);
+  async setContext(contextText, options = {}) {
+    const scoringMode = validateScoringMode(options.scoringMode || this.scoringMode);
+    const { signal = null } = options;
+
+    this.contextEmbedding = await this.embed(contextText, { role: 'query', signal });
+    this.contextPoints = null;
+    if (scoringMode !== 'centroid') {
+      await this.embedContextPoints(contextText, { signal });
+    }
     return this.contextEmbedding;
   }
 
@@ -211,80 +410,179 @@ export class EmbeddingContext {
 
   /**
    * Get relevance score for an item against the context
+   * Item text is embedded with the model profile's passage prefix.
    * @returns {number} Relevance score (0-1)
    */
-  async getRelevanceScore(item) {
+  async getRelevanceScore(item, options = {}) {
+    const { score } = await this.getRelevanceDetails(item, options);
+    return score;
+  }
+
+  /**
+   * Get relevance score and the context point that produced it
+   * @param {Object} item - Item with title, description
+   * @param {Object} options - Scoring options
+   * @param {string} options.scoringMode - Override the context's scoring mode
+   * @param {number} options.topK - Override the context's topK
+   * @param {AbortSignal} options.signal - Rejects with AbortError once aborted
+   * @returns {Promise<{score: number, matchedPoint: Object|null}>} matchedPoint is { text, type, similarity }
+   */
+  async getRelevanceDetails(item, options = {}) {
     if (!this.contextEmbedding) {
       throw new Error('Context embedding not set. Call setContext first.');
     }
 
-    const text = `${item.title || ''} ${item.description || ''}`.trim();
-    if (!text) return 0;
+    const text = getItemText(item);
+    if (!text) return { score: 0, matchedPoint: null, exclusion: null };
 
-    const itemEmbedding = await this.embed(text);
-    return cosineSimilarity(this.contextEmbedding, itemEmbedding);
+    const itemEmbedding = await this.embed(text, { role: 'passage', signal: options.signal });
+    return this.scoreEmbedding(itemEmbedding, options);
   }
 
   /**
-   * Batch compute relevance scores with concurrency control
+   * Score a precomputed item embedding against the context
+   * Point-based modes fall back to the centroid when no context points were extracted.
+   * The closest context point is reported whenever points have been embedded.
+   *
+   * @param {Float32Array} itemEmbedding - Item embedding
+   * @param {Object} options - Scoring options (scoringMode, topK)
+   * @returns {{score: number, matchedPoint: Object|null, exclusion: Object|null}} exclusion is the closest excluded topic
+   */
+  scoreEmbedding(itemEmbedding, options = {}) {
+    const scoringMode = validateScoringMode(options.scoringMode || this.scoringMode);
+    const topK = options.topK || this.topK;
+    const exclusion = this.matchExclusion(itemEmbedding);
+
+    if (scoringMode === 'centroid' || !this.contextPoints || this.contextPoints.length === 0) {
+      return {
+        score: cosineSimilarity(this.contextEmbedding, itemEmbedding),
+        matchedPoint: this.matchContextPoint(itemEmbedding),
+        exclusion
+      };
+    }
+
+    const similarities = this.contextPoints
+      .map(point => ({ point, similarity: cosineSimilarity(itemEmbedding, point.embedding) }))
+      .sort((a, b) => b.similarity - a.similarity);
+
+    const best = similarities[0];
+    const score = scoringMode === 'max'
+      ? best.similarity
+      : similarities.slice(0, topK).reduce((sum, s) => sum + s.similarity, 0) /
+        Math.min(topK, similarities.length);
+
+    return {
+      score,
+      matchedPoint: { text: best.point.text, type: best.point.type, similarity: best.similarity },
+      exclusion
+    };
+  }
+
+  /**
+   * Batch compute relevance scores using batched inference
+   * @param {Array} items - Items with id, title, description
+   * @param {Object} options - Batch options
+   * @param {number} options.batchSize - Texts per forward pass (default: context batchSize)
+   * @param {number} options.concurrency - Deprecated alias for batchSize
+   * @param {string} options.scoringMode - Override the context's scoring mode
+   * @param {number} options.topK - Override the context's topK
+   * @param {Function} options.onProgress - Called with (processed, total) after each batch
+   * @param {AbortSignal} options.signal - Checked before every batch; rejects with AbortError
+   * @returns {Promise<Map<string, number>>} Map of item.id -> relevance score
    */
   async batchRelevanceScores(items, options = {}) {
-    const { concurrency = 10, onProgress = null } = options;
+    const details = await this.batchRelevanceDetails(items, options);
     const scores = new Map();
+    details.forEach(({ score }, id) => scores.set(id, score));
+    return scores;
+  }
 
-    for (let i = 0; i < items.length; i += concurrency) {
-      const batch = items.slice(i, i + concurrency);
-      const promises = batch.map(item =>
-        this.getRelevanceScore(item).then(score => ({ id: item.id, score }))
-      );
+  /**
+   * Batch compute relevance scores with matched context points and excluded topics
+   * Accepts the same options as batchRelevanceScores.
+   * @returns {Promise<Map<string, {score: number, matchedPoint: Object|null, exclusion: Object|null}>>}
+   */
+  async batchRelevanceDetails(items, options = {}) {
+    if (!this.contextEmbedding) {
+      throw new Error('Context embedding not set. Call setContext first.');
+    }
 
-      const results = await Promise.all(promises);
-      results.forEach(({ id, score }) => scores.set(id, score));
+    const {
+      batchSize = options.concurrency || this.batchSize,
+      onProgress = null,
+      signal = null
+    } = options;
+    const details = new Map();
+
+    for (let i = 0; i < items.length; i += batchSize) {
+      throwIfAborted(signal);
+      const batch = items.slice(i, i + batchSize);
+      const texts = batch.map(getItemText);
+      const embeddings = await this.embedBatch(texts.filter(Boolean), { batchSize, role: 'passage', signal });
+
+      let embeddingIdx = 0;
+      batch.forEach((item, j) => {
+        const detail = texts[j]
+          ? this.scoreEmbedding(embeddings[embeddingIdx++], options)
+          : { score: 0, matchedPoint: null, exclusion: null };
+        details.set(item.id, detail);
+      });
 
       if (onProgress) {
-        onProgress(Math.min(i + concurrency, items.length), items.length);
+        onProgress(Math.min(i + batchSize, items.length), items.length);
       }
     }
 
-    return scores;
+    return details;
+  }
+
+  /**
+   * Embed items the same way relevance scoring does (title + description, passage role)
+   * Items already scored come straight from the cache.
+   * @param {Object[]} items - Items with title, description
+   * @param {Object} options - Options ({ batchSize, signal })
+   * @returns {Promise<Array<Float32Array|null>>} Embeddings in input order (null for items without text)
+   */
+  async embedItems(items, options = {}) {
+    const texts = items.map(getItemText);
+    const embeddings = await this.embedBatch(texts.filter(Boolean), { ...options, role: 'passage' });
+
+    let embeddingIdx = 0;
+    return texts.map(text => (text ? embeddings[embeddingIdx++] : null));
   }
 
   /**
    * Extract and embed specific points from context for detailed matching
+   * Points are the profile's list items, questions and building description.
+   * @param {string|ContextProfile} context - Context document (markdown) or parsed profile
+   * @param {Object} options - Options ({ signal })
    */
-  async embedContextPoints(contextText) {
+  async embedContextPoints(context, options = {}) {
+    const profile = toContextProfile(context);
     const points = [];
 
-    const bulletRegex = /^[-*]\s+(.+)$/gm;
-    let match;
-    while ((match = bulletRegex.exec(contextText)) !== null) {
-      const point = match[1].trim();
-      if (point.length > MIN_BULLET_LENGTH && point.length < MAX_BULLET_LENGTH) {
-        points.push({ text: point, type: 'bullet' });
+    for (const bullet of profile.bullets) {
+      if (bullet.text.length > MIN_BULLET_LENGTH && bullet.text.length < MAX_BULLET_LENGTH) {
+        points.push({ text: bullet.text, type: 'bullet' });
       }
     }
 
-    const questionRegex = /^[-*]?\s*(.+\?)$/gm;
-    while ((match = questionRegex.exec(contextText)) !== null) {
-      const question = match[1].trim();
+    for (const question of profile.questions) {
       if (question.length > MIN_QUESTION_LENGTH && !points.some(p => p.text === question)) {
         points.push({ text: question, type: 'question' });
       }
     }
 
-    const buildingMatch = contextText.match(/\*\*([^*]+)\*\*\s*[—–-]\s*([^.\n]+)/);
-    if (buildingMatch) {
+    if (profile.building) {
       points.push({
-        text: `${buildingMatch[1]}: ${buildingMatch[2]}`,
+        text: `${profile.building.name}: ${profile.building.description}`,
         type: 'building'
       });
     }
 
-    this.contextPoints = [];
-    for (const point of points.slice(0, MAX_CONTEXT_POINTS)) {
-      const embedding = await this.embed(point.text);
-      this.contextPoints.push({ ...point, embedding });
-    }
+    const selected = points.slice(0, MAX_CONTEXT_POINTS);
+    const embeddings = await this.embedBatch(selected.map(point => point.text), { role: 'query', signal: options.signal });
+    this.contextPoints = selected.map((point, idx) => ({ ...point, embedding: embeddings[idx] }));
 
     return this.contextPoints;
   }
@@ -297,13 +595,28 @@ export class EmbeddingContext {
       return null;
     }
 
-    const text = `${item.title || ''} ${item.description || ''}`.trim();
+    const text = getItemText(item);
     if (!text) return null;
 
-    const itemEmbedding = await this.embed(text);
+    const itemEmbedding = await this.embed(text, { role: 'passage' });
+    const match = this.matchContextPoint(itemEmbedding);
+
+    if (!match || match.similarity < MIN_POINT_MATCH_SCORE) return null;
+    return describeContextPoint(match);
+  }
+
+  /**
+   * Find the context point closest to a precomputed item embedding
+   * @param {Float32Array} itemEmbedding - Item embedding
+   * @returns {{text: string, type: string, similarity: number}|null} Null without context points
+   */
+  matchContextPoint(itemEmbedding) {
+    if (!this.contextPoints || this.contextPoints.length === 0) {
+      return null;
+    }
 
     let bestMatch = null;
-    let bestScore = 0;
+    let bestScore = -Infinity;
 
     for (const point of this.contextPoints) {
       const score = cosineSimilarity(itemEmbedding, point.embedding);
@@ -313,18 +626,90 @@ export class EmbeddingContext {
       }
     }
 
-    if (bestScore < MIN_POINT_MATCH_SCORE) return null;
+    return { text: bestMatch.text, type: bestMatch.type, similarity: bestScore };
+  }
 
-    if (bestMatch.type === 'question') {
-      return `May help answer: "${bestMatch.text}"`;
-    } else if (bestMatch.type === 'building') {
-      return `Relevant to ${bestMatch.text}`;
-    } else {
-      return `Matches your interest: "${bestMatch.text}"`;
+  /**
+   * Embed topics the user is not interested in, kept apart from the context
+   * An empty list clears them.
+   * @param {string[]} topics - Excluded topics
+   * @param {Object} options - Options ({ signal })
+   */
+  async setExclusions(topics, options = {}) {
+    const texts = [...new Set(topics.map(topic => topic.trim()).filter(Boolean))];
+    if (texts.length === 0) {
+      this.exclusionPoints = null;
+      return null;
     }
+
+    const embeddings = await this.embedBatch(texts, { role: 'query', signal: options.signal });
+    this.exclusionPoints = texts.map((text, idx) => ({ text, embedding: embeddings[idx] }));
+    return this.exclusionPoints;
+  }
+
+  /**
+   * Find the excluded topic closest to a precomputed item embedding
+   * @param {Float32Array} itemEmbedding - Item embedding
+   * @returns {{topic: string, similarity: number}|null} Null without excluded topics
+   */
+  matchExclusion(itemEmbedding) {
+    if (!this.exclusionPoints) return null;
+
+    let best = null;
+    for (const point of this.exclusionPoints) {
+      const similarity = cosineSimilarity(itemEmbedding, point.embedding);
+      if (!best || similarity > best.similarity) {
+        best = { topic: point.text, similarity };
+      }
+    }
+    return best;
   }
 }
 
+/**
+ * Human-readable explanation for a matched context point
+ * @param {{text: string, type: string}} point - Matched context point
+ * @returns {string} Explanation sentence
+ */
+export function describeContextPoint(point) {
+  if (point.type === 'question') {
+    return `May help answer: "${point.text}"`;
+  } else if (point.type === 'building') {
+    return `Relevant to ${point.text}`;
+  } else {
+    return `Matches your interest: "${point.text}"`;
+  }
+}
+
+/**
+ * Whether a matched context point is close enough to explain a signal
+ * @param {{similarity: number}} point - Matched context point
+ * @returns {boolean}
+ */
+export function isConfidentPointMatch(point) {
+  return Boolean(point) && point.similarity >= MIN_POINT_MATCH_SCORE;
+}
+
+/**
+ * Validate a context scoring mode
+ */
+function validateScoringMode(mode) {
+  if (!SCORING_MODES.includes(mode)) {
+    throw new Error(`Unknown scoring mode "${mode}". Expected one of: ${SCORING_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Validate a chunk aggregation strategy
+ */
+function validateChunkAggregation(strategy) {
+  if (!CHUNK_AGGREGATIONS.includes(strategy)) {
+    throw new Error(`Unknown chunk aggregation "${strategy}". Expected one of: ${CHUNK_AGGREGATIONS.join(', ')}`);
+  }
+  return strategy;
+}
+
 /**
  * Compute cosine similarity between two embeddings
  * @param {Float32Array} a - First embedding
@@ -332,6 +717,10 @@ export class EmbeddingContext {
  * @returns {number} Similarity score (-1 to 1, typically 0 to 1)
  */
 export function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Cannot compare embeddings of different lengths (${a.length} and ${b.length}); were they made by different models?`);
+  }
+
   let dotProduct = 0;
   let normA = 0;
   let normB = 0;
@@ -348,15 +737,14 @@ export function cosineSimilarity(a, b) {
   return Math.max(-1, Math.min(1, dotProduct / magnitude));
 }
 
-/**
- * Check if embeddings are initialized
- */
-export function isInitialized() {
-  return sharedPipeline !== null;
-}
+export { isInitialized, disposePipeline, disposeAllPipelines };
 
 export default {
   EmbeddingContext,
+  describeContextPoint,
+  isConfidentPointMatch,
   cosineSimilarity,
-  isInitialized
+  isInitialized,
+  disposePipeline,
+  disposeAllPipelines
 };
@@ -3,12 +3,46 @@
  * Uses local embeddings for semantic similarity
  */
 
-import { scoreAndSortSignals, getRecencyLabel, getRelevantTimestamp } from './scoring.js';
-import { EmbeddingContext } from './embeddings.js';
+import { scoreAndSortSignals, calculateSignalScore, getRecencyLabel, getRelevantTimestamp } from './scoring.js';
+import { EmbeddingContext, describeContextPoint, isConfidentPointMatch } from './embeddings.js';
+import { throwIfAborted } from './abort.js';
+import { clusterNearDuplicates } from './cluster.js';
+import { getItemKey } from './canonical.js';
+import { detectTrends } from './trends.js';
+import { SignalClassifier } from './classifier.js';
+import { toContextProfile, isNameLike } from './context.js';
+import { RuleSet, hasKeyword } from './rules.js';
 
 // Default filter thresholds
 const DEFAULT_RELEVANCE_THRESHOLD = 0.30;
 const DEFAULT_NOVELTY_THRESHOLD = 0.5;
+const DEFAULT_DUPLICATE_THRESHOLD = 0.85;
+
+// Options every profile in filterProfiles shares (one model, one embedding pass)
+const SHARED_PROFILE_OPTIONS = [
+  'embeddingContext', 'provider', 'worker', 'modelName', 'modelProfile', 'localModelPath', 'cacheDir',
+  'allowRemoteModels', 'cacheStore', 'chunkTokens', 'chunkAggregation', 'batchSize', 'concurrency',
+  'signal', 'onProgress'
+];
+
+// Streaming: items per embedding batch, and seen items between novelty flushes
+const DEFAULT_STREAM_BATCH_SIZE = 32;
+const DEFAULT_NOVELTY_FLUSH_INTERVAL = 500;
+
+// Keyword scores per signal type (see getKeywordScore)
+const EXACT_KEYWORD_SCORE = 0.6;
+const GENERIC_KEYWORD_SCORE = 0.15;
+const MAX_GENERIC_KEYWORD_SCORE = 0.45;
+
+// Semantic types below this probability are left out of signal_types (unless a keyword matched)
+const MIN_TYPE_PROBABILITY = 0.2;
+
+// Signal type classifiers ('semantic' blends embeddings with keywords)
+const CLASSIFIERS = ['keyword', 'semantic'];
+
+// What happens to items closer to an excluded topic than to the context
+const EXCLUSION_MODES = ['drop', 'penalize'];
+const DEFAULT_EXCLUSION_PENALTY = 0.5;
 
 // Signal types
 const SIGNAL_TYPES = [
@@ -27,15 +61,6 @@ const STOP_WORDS = new Set([
   'just', 'like', 'make', 'made', 'using', 'used', 'want', 'need'
 ]);
 
-/**
- * Escape special regex characters in a string
- * @param {string} str - String to escape
- * @returns {string} Escaped string safe for use in RegExp
- */
-function escapeRegExp(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 // Default signal keywords
 const DEFAULT_SIGNAL_KEYWORDS = {
   competitive: {
@@ -61,42 +86,25 @@ const DEFAULT_SIGNAL_KEYWORDS = {
 };
 
 /**
- * Parse user's context document to extract signal keywords
+ * Signal keywords from the parsed context's typed sections
+ * @param {ContextProfile} profile - Parsed context
  */
-function parseContextForSignalKeywords(context) {
-  if (!context) return DEFAULT_SIGNAL_KEYWORDS;
+function parseContextForSignalKeywords(profile) {
+  const keywords = {};
+  for (const type of SIGNAL_TYPES) {
+    keywords[type] = { exact: [], generic: [] };
+  }
 
-  const keywords = {
-    competitive: { exact: [], generic: [] },
-    'thesis-challenging': { exact: [], generic: [] },
-    opportunity: { exact: [], generic: [] },
-    technical: { exact: [], generic: [] },
-    trend: { exact: [], generic: [] }
-  };
+  for (const section of profile.sections) {
+    // What the user is building only adds domain vocabulary
+    const type = section.type === 'building' ? 'technical' : section.type;
+    if (!keywords[type]) continue;
 
-  const sectionMappings = [
-    { pattern: /##\s*(?:competitors?|watching|alternatives?|competition)\s*\n([\s\S]*?)(?=\n##|\n$|$)/gi, type: 'competitive' },
-    { pattern: /##\s*(?:questions?|assumptions?|thesis|hypothes[ie]s|validat(?:e|ing))\s*\n([\s\S]*?)(?=\n##|\n$|$)/gi, type: 'thesis-challenging' },
-    { pattern: /##\s*(?:pain\s*points?|problems?|opportunities?|gaps?|needs?)\s*\n([\s\S]*?)(?=\n##|\n$|$)/gi, type: 'opportunity' },
-    { pattern: /##\s*(?:technolog(?:y|ies)|stack|tools?|frameworks?|libraries?)\s*\n([\s\S]*?)(?=\n##|\n$|$)/gi, type: 'technical' },
-    { pattern: /##\s*(?:trends?|market|industry|growth)\s*\n([\s\S]*?)(?=\n##|\n$|$)/gi, type: 'trend' }
-  ];
-
-  for (const { pattern, type } of sectionMappings) {
-    let match;
-    while ((match = pattern.exec(context)) !== null) {
-      const sectionContent = match[1];
-      const extracted = extractTermsFromSection(sectionContent);
+    const extracted = extractTermsFromSection(section);
+    if (section.type !== 'building') {
       keywords[type].exact.push(...extracted.exact);
-      keywords[type].generic.push(...extracted.generic);
     }
-  }
-
-  const buildingPattern = /##\s*(?:what\s*i'?m?\s*building|product|project|building)\s*\n([\s\S]*?)(?=\n##|\n$|$)/gi;
-  let buildingMatch;
-  while ((buildingMatch = buildingPattern.exec(context)) !== null) {
-    const domainTerms = extractTermsFromSection(buildingMatch[1]);
-    keywords.technical.generic.push(...domainTerms.generic);
+    keywords[type].generic.push(...extracted.generic);
   }
 
   const merged = {};
@@ -110,18 +118,19 @@ function parseContextForSignalKeywords(context) {
   return merged;
 }
 
-function extractTermsFromSection(sectionContent) {
+/**
+ * Exact terms (names, bold text) and generic words from a context section
+ * @param {ContextSection} section - Parsed section
+ */
+function extractTermsFromSection(section) {
   const exact = [];
   const generic = [];
 
-  const bulletRegex = /^[-*]\s+\*?\*?([^*\n]+)\*?\*?/gm;
-  let match;
-  while ((match = bulletRegex.exec(sectionContent)) !== null) {
-    const item = match[1].trim();
-    if (/^[A-Z][a-zA-Z0-9.-]*(?:\s+[A-Z][a-zA-Z0-9.-]*)?$/.test(item) && item.length < 30) {
-      exact.push(item.toLowerCase());
+  for (const bullet of section.bullets) {
+    if (isNameLike(bullet.lead)) {
+      exact.push(bullet.lead.toLowerCase());
     } else {
-      const words = item.match(/\b[A-Za-z][a-z]{3,}\b/g) || [];
+      const words = bullet.text.match(/\b[A-Za-z][a-z]{3,}\b/g) || [];
       words.forEach(w => {
         if (!isStopWord(w)) {
           generic.push(w.toLowerCase());
@@ -130,9 +139,7 @@ function extractTermsFromSection(sectionContent) {
     }
   }
 
-  const boldRegex = /\*\*([^*]+)\*\*/g;
-  while ((match = boldRegex.exec(sectionContent)) !== null) {
-    const term = match[1].trim();
+  for (const term of section.boldTerms) {
     if (term.length > 2 && term.length < 50) {
       exact.push(term.toLowerCase());
     }
@@ -145,15 +152,31 @@ function isStopWord(word) {
   return STOP_WORDS.has(word.toLowerCase());
 }
 
+/**
+ * Keyword score for a signal type (0-1)
+ * An exact keyword (0.6) always outweighs generic ones, which add 0.15 each up to 0.45.
+ */
+function getKeywordScore(exactHits, genericHits) {
+  const score = EXACT_KEYWORD_SCORE * exactHits + Math.min(GENERIC_KEYWORD_SCORE * genericHits, MAX_GENERIC_KEYWORD_SCORE);
+  return Math.min(1, Math.round(score * 100) / 100);
+}
+
 /**
  * Request-scoped filter context
  */
 export class FilterContext {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string[]} options.existingIds - Ids already seen (novelty 0)
+   * @param {boolean} options.keywordTrends - Classify 'trend' from keywords (default: true; off when trends are detected from clusters)
+   */
   constructor(options = {}) {
     this.seenIds = new Set(options.existingIds || []);
+    this.keywordTrends = options.keywordTrends !== false;
     this.contextKeywords = [];
     this.signalKeywords = DEFAULT_SIGNAL_KEYWORDS;
     this.userGlobalKeywords = [];
+    this.profile = null;
   }
 
   markSeen(itemId) {
@@ -164,9 +187,16 @@ export class FilterContext {
     return this.seenIds.has(itemId) ? 0 : 1.0;
   }
 
+  /**
+   * @param {string|ProfileDefinition|ContextProfile} context - Context document, profile definition or parsed profile
+   * @param {Object} userKeywords - User-provided keywords per type (and `global`, merged with the context's watched keywords)
+   */
   setSignalKeywords(context, userKeywords = {}) {
-    const parsedKeywords = parseContextForSignalKeywords(context);
-    this.userGlobalKeywords = (userKeywords.global || []).map(k => k.toLowerCase());
+    this.profile = toContextProfile(context);
+    const parsedKeywords = parseContextForSignalKeywords(this.profile);
+    this.userGlobalKeywords = [...new Set(
+      [...(userKeywords.global || []), ...this.profile.watched].map(k => k.toLowerCase())
+    )];
 
     this.signalKeywords = {};
     for (const type of SIGNAL_TYPES) {
@@ -178,71 +208,50 @@ export class FilterContext {
     }
   }
 
+  /**
+   * @param {string|ProfileDefinition|ContextProfile} context - Context document, profile definition or parsed profile
+   */
   setContextKeywords(context) {
-    this.contextKeywords = extractContextKeywords(context);
+    this.profile = toContextProfile(context);
+    this.contextKeywords = extractContextKeywords(this.profile);
   }
 
   classifySignalType(item) {
     const text = `${item.title || ''} ${item.description || ''}`;
-    const textLower = text.toLowerCase();
-
-    const hasKeyword = (keyword) => {
-      const keywordLower = keyword.toLowerCase();
-      const isAlphanumericOnly = /^[a-z0-9]+$/i.test(keyword);
-
-      if (isAlphanumericOnly) {
-        // Escape regex special characters for safety
-        const escaped = escapeRegExp(keywordLower);
-        const regex = new RegExp(`\\b${escaped}\\b`, 'i');
-        return regex.test(text);
-      }
-
-      const idx = textLower.indexOf(keywordLower);
-      if (idx === -1) return false;
-
-      const beforeOk = idx === 0 || !/[a-z0-9]/i.test(text[idx - 1]);
-      const afterIdx = idx + keyword.length;
-      const afterOk = afterIdx >= text.length || !/[a-z0-9]/i.test(text[afterIdx]);
-
-      return beforeOk && afterOk;
-    };
+    const matchesText = (keyword) => hasKeyword(text, keyword);
 
     let matchedGlobalKeyword = null;
     for (const keyword of this.userGlobalKeywords) {
-      if (hasKeyword(keyword)) {
+      if (matchesText(keyword)) {
         matchedGlobalKeyword = keyword;
         break;
       }
     }
 
-    for (const [signalType, keywords] of Object.entries(this.signalKeywords)) {
-      if (keywords.exact && keywords.exact.length > 0) {
-        for (const keyword of keywords.exact) {
-          if (hasKeyword(keyword)) {
-            return {
-              type: signalType,
-              keywordConfidence: 'high',
-              matchedKeyword: keyword,
-              isWatched: matchedGlobalKeyword !== null
-            };
-          }
-        }
-      }
+    // Every type with a keyword hit, strongest first (stable sort: SIGNAL_TYPES order breaks ties)
+    const matches = [];
+    for (const signalType of SIGNAL_TYPES) {
+      const keywords = this.signalKeywords[signalType];
+      if (!keywords || (!this.keywordTrends && signalType === 'trend')) continue;
+
+      const exact = (keywords.exact || []).filter(matchesText);
+      const generic = (keywords.generic || []).filter(keyword => !exact.includes(keyword) && matchesText(keyword));
+      if (exact.length === 0 && generic.length === 0) continue;
+
+      matches.push({ type: signalType, score: getKeywordScore(exact.length, generic.length), exact, generic });
     }
+    matches.sort((a, b) => b.score - a.score);
 
-    for (const [signalType, keywords] of Object.entries(this.signalKeywords)) {
-      if (keywords.generic && keywords.generic.length > 0) {
-        for (const keyword of keywords.generic) {
-          if (hasKeyword(keyword)) {
-            return {
-              type: signalType,
-              keywordConfidence: matchedGlobalKeyword ? 'high' : 'medium',
-              matchedKeyword: matchedGlobalKeyword || keyword,
-              isWatched: matchedGlobalKeyword !== null
-            };
-          }
-        }
-      }
+    const primary = matches[0];
+    if (primary) {
+      const hasExact = primary.exact.length > 0;
+      return {
+        type: primary.type,
+        keywordConfidence: hasExact || matchedGlobalKeyword ? 'high' : 'medium',
+        matchedKeyword: hasExact ? primary.exact[0] : (matchedGlobalKeyword || primary.generic[0]),
+        isWatched: matchedGlobalKeyword !== null,
+        matches
+      };
     }
 
     if (matchedGlobalKeyword) {
@@ -250,11 +259,12 @@ export class FilterContext {
         type: 'technical',
         keywordConfidence: 'high',
         matchedKeyword: matchedGlobalKeyword,
-        isWatched: true
+        isWatched: true,
+        matches
       };
     }
 
-    return { type: 'technical', keywordConfidence: 'low', matchedKeyword: null, isWatched: false };
+    return { type: 'technical', keywordConfidence: 'low', matchedKeyword: null, isWatched: false, matches };
   }
 
   extractTopic(item) {
@@ -287,25 +297,32 @@ function getConfidence(relevance) {
   return 'low';
 }
 
-function extractContextKeywords(context) {
-  if (!context) return [];
-
+function extractContextKeywords(profile) {
   const keywords = new Set();
 
-  const bulletRegex = /^[-*]\s+(.+)$/gm;
-  let match;
-  while ((match = bulletRegex.exec(context)) !== null) {
-    const words = match[1].match(/\b[A-Za-z][a-z]{3,}\b/g) || [];
+  for (const bullet of profile.bullets) {
+    const words = bullet.text.match(/\b[A-Za-z][a-z]{3,}\b/g) || [];
     words.forEach(w => keywords.add(w.toLowerCase()));
   }
 
-  const properNouns = context.match(/\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g) || [];
-  properNouns.forEach(term => keywords.add(term.toLowerCase()));
+  const lines = profile.sections.filter(section => section.type !== 'excluded').flatMap(section => [
+    section.heading || '',
+    ...section.bullets.map(bullet => bullet.text),
+    ...section.paragraphs
+  ]);
+  for (const line of lines) {
+    const properNouns = line.match(/\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g) || [];
+    properNouns.forEach(term => keywords.add(term.toLowerCase()));
+  }
 
   return Array.from(keywords).filter(k => !STOP_WORDS.has(k) && k.length > 3);
 }
 
-function generateReason(signalType, item, filterCtx) {
+function generateReason(signalType, item, filterCtx, matchedPoint = null) {
+  if (isConfidentPointMatch(matchedPoint)) {
+    return describeContextPoint(matchedPoint);
+  }
+
   const topic = filterCtx.extractTopic(item);
 
   const templates = {
@@ -320,20 +337,590 @@ function generateReason(signalType, item, filterCtx) {
   return options[0];
 }
 
+/**
+ * Progress event emitted by filterItems
+ * Each phase reports 'start' and 'done'; model-load and scoring also report 'progress'.
+ * Phases run in order: model-load, context-embed, novelty-load (with a tracker),
+ * scoring, classifying, clustering (with clusterDuplicates), trend-detection (with detectTrends),
+ * novelty-flush (with a tracker). filterProfiles reports model-load and item-embed once,
+ * then every phase per profile (with `profile` set).
+ *
+ * @typedef {Object} FilterProgressEvent
+ * @property {string} phase - Pipeline phase
+ * @property {string} status - 'start', 'progress' or 'done'
+ * @property {number} [current] - Units completed (items, context points, or bytes for model-load)
+ * @property {number} [total] - Units in the phase
+ * @property {string} [file] - Model file being downloaded (model-load progress)
+ * @property {number} [passed] - Items that passed both thresholds (classifying 'done')
+ * @property {number} [duplicates] - Items merged into a cluster (clustering 'done')
+ * @property {number} [trends] - Signals labeled as part of a trend (trend-detection 'done')
+ * @property {string} [profile] - Profile the event belongs to (filterProfiles)
+ * @property {number} elapsedMs - Time since filterItems started
+ * @property {number} [durationMs] - Time spent in the phase ('done' only)
+ */
+
+/**
+ * Create the progress emitter for one filterItems run
+ * @param {function(FilterProgressEvent): void|null} onProgress - Progress callback
+ * @param {number} startTime - Run start (ms)
+ */
+function createProgressReporter(onProgress, startTime) {
+  const phaseStarts = {};
+
+  return (phase, status, details = {}) => {
+    if (!onProgress) return;
+
+    const now = Date.now();
+    if (status === 'start') phaseStarts[phase] = now;
+
+    onProgress({
+      phase,
+      status,
+      ...details,
+      elapsedMs: now - startTime,
+      ...(status === 'done' && { durationMs: now - (phaseStarts[phase] ?? now) })
+    });
+  };
+}
+
+/**
+ * Why an item can't be filtered, or null when it is valid
+ */
+function getInvalidReason(item) {
+  if (!item || typeof item !== 'object') return 'not an object';
+  if (!item.id) return 'missing id';
+  return null;
+}
+
+/**
+ * Build the request-scoped EmbeddingContext from filter options
+ */
+function createEmbeddingContext(options) {
+  return new EmbeddingContext({
+    cacheSize: 1000,
+    batchSize: options.batchSize || options.concurrency || undefined,
+    provider: options.provider || null,
+    worker: options.worker || false,
+    modelName: options.modelName || undefined,
+    modelProfile: options.modelProfile || undefined,
+    localModelPath: options.localModelPath || null,
+    cacheDir: options.cacheDir || null,
+    allowRemoteModels: options.allowRemoteModels !== false,
+    cacheStore: options.cacheStore || null,
+    scoringMode: options.contextScoring || undefined,
+    topK: options.contextTopK || undefined,
+    chunkTokens: options.chunkTokens || undefined,
+    chunkAggregation: options.chunkAggregation || undefined
+  });
+}
+
+/**
+ * Signal classifier for the `classifier` option, or null for keyword-only classification
+ */
+function createClassifier(options) {
+  const { classifier = 'keyword', signalExemplars = {}, classifierKeywordWeight, detectTrends: trendDetection = false } = options;
+  if (classifier instanceof SignalClassifier) return classifier;
+
+  if (!CLASSIFIERS.includes(classifier)) {
+    throw new Error(`Unknown classifier "${classifier}". Expected one of: ${CLASSIFIERS.join(', ')}, or a SignalClassifier`);
+  }
+  if (classifier === 'keyword') return null;
+
+  return new SignalClassifier({
+    exemplars: signalExemplars,
+    keywordWeight: classifierKeywordWeight,
+    // Detected trends come from clusters, not from the classifier
+    types: trendDetection ? SIGNAL_TYPES.filter(type => type !== 'trend') : SIGNAL_TYPES
+  });
+}
+
+/**
+ * Validated exclusion settings
+ */
+function createExclusionOptions(options) {
+  const { exclusionMode = 'drop', exclusionPenalty = DEFAULT_EXCLUSION_PENALTY, exclusionMargin = 0 } = options;
+  if (!EXCLUSION_MODES.includes(exclusionMode)) {
+    throw new Error(`Unknown exclusionMode "${exclusionMode}". Expected one of: ${EXCLUSION_MODES.join(', ')}`);
+  }
+  return { mode: exclusionMode, penalty: exclusionPenalty, margin: exclusionMargin };
+}
+
+/**
+ * Relevance after exclusions, and the suppression record when an item is
+ * closer to an excluded topic than to the context
+ */
+function applyExclusion({ score = 0, exclusion = null }, exclusionOptions) {
+  if (!exclusion || exclusion.similarity <= score + exclusionOptions.margin) {
+    return { relevance: score, suppression: null };
+  }
+
+  const dropped = exclusionOptions.mode === 'drop';
+  const relevance = dropped ? score : score * (1 - exclusionOptions.penalty);
+  return {
+    relevance,
+    suppression: {
+      action: dropped ? 'dropped' : 'penalized',
+      topic: exclusion.topic,
+      similarity: Math.round(exclusion.similarity * 100),
+      relevance_similarity: Math.round(score * 100),
+      reason: `Closer to excluded topic "${exclusion.topic}" (${Math.round(exclusion.similarity * 100)}%) than to your context (${Math.round(score * 100)}%)`
+    }
+  };
+}
+
+/**
+ * Compiled keyword rules (null without any)
+ */
+function createRuleSet(options) {
+  const { rules = null } = options;
+  if (rules instanceof RuleSet) return rules;
+  if (!rules || (Array.isArray(rules) && rules.length === 0)) return null;
+  return new RuleSet(rules, { types: SIGNAL_TYPES });
+}
+
+/**
+ * Run include/exclude rules before scoring
+ * @returns {{candidates: Object[], included: Map<string, Object>}} Items left to score, and the include rule per forced item
+ */
+function applyRulesBefore(ruleSet, items, onExcluded = () => {}) {
+  const included = new Map();
+  if (!ruleSet) return { candidates: items, included };
+
+  const candidates = items.filter(item => {
+    const match = ruleSet.matchBefore(item);
+    if (match?.action === 'exclude') {
+      onExcluded(item, match);
+      return false;
+    }
+    if (match) included.set(item.id, match);
+    return true;
+  });
+  return { candidates, included };
+}
+
+/**
+ * Run type, boost and after-scoring exclude rules on built signals
+ * @returns {Object[]} Signals that weren't excluded, with rules applied
+ */
+function applyRulesAfter(ruleSet, signals, onExcluded = () => {}) {
+  if (!ruleSet) return signals;
+
+  const kept = [];
+  for (const item of signals) {
+    const { signal: updated, excluded } = ruleSet.applyAfter(item);
+    if (excluded) {
+      onExcluded(item, excluded);
+    } else {
+      kept.push(updated);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Embed the items that can pass (those above the relevance threshold, or included by a rule)
+ * Read from the scoring pass's cache, for the classifier, clustering and trend detection.
+ * @returns {Promise<Map<string, Float32Array>>} Embedding by item id
+ */
+async function embedRelevantItems(embeddingCtx, items, relevanceDetails, relevanceThreshold, signal, included = new Map()) {
+  const embeddings = new Map();
+  const relevant = items.filter(item =>
+    included.has(item.id) || (relevanceDetails.get(item.id)?.score || 0) >= relevanceThreshold
+  );
+  const vectors = await embeddingCtx.embedItems(relevant, { signal });
+  relevant.forEach((item, idx) => embeddings.set(item.id, vectors[idx]));
+  return embeddings;
+}
+
+/**
+ * Parse the context and build the classifier, exclusion settings and rules
+ * Throws on a bad option or profile, so callers can fail before loading the model.
+ */
+function resolveFilterSetup(context, options) {
+  const classifier = createClassifier(options);
+  const exclusionOptions = createExclusionOptions(options);
+  const ruleSet = createRuleSet(options);
+  // Parsed once; keywords, topics and context points all read the same profile
+  const profile = toContextProfile(context);
+  if (!profile.text) {
+    throw new Error('Context has no content outside excluded sections');
+  }
+  return { classifier, exclusionOptions, ruleSet, profile };
+}
+
+/**
+ * Load the model (model-load phase; skipped work when pre-initialized)
+ */
+async function loadModel(embeddingCtx, preInitialized, report) {
+  report('model-load', 'start');
+  if (!preInitialized) {
+    await embeddingCtx.init({
+      onProgress: (p) => {
+        if (p.status === 'progress') {
+          report('model-load', 'progress', { current: p.loaded, total: p.total, file: p.file });
+        }
+      }
+    });
+  }
+  report('model-load', 'done');
+}
+
+/**
+ * Load the model and embed the context (model-load and context-embed phases)
+ * Prototypes for a semantic classifier are embedded with the context.
+ * @returns {Promise<{scoringOptions: Object, classifier: SignalClassifier|null, exclusionOptions: Object, ruleSet: RuleSet|null}>}
+ *   Scoring options for batchRelevanceDetails, the classifier, exclusion settings and rules
+ */
+async function prepareContexts(embeddingCtx, filterCtx, context, options) {
+  const {
+    contextScoring = null,
+    contextTopK = null,
+    explainMatches = false,
+    userKeywords = {},
+    exclude = [],
+    preInitialized = false,
+    signal = null,
+    report
+  } = options;
+
+  // Fail on a bad classifier, exclusion option, rule or profile before loading the model
+  const { classifier, exclusionOptions, ruleSet, profile } = resolveFilterSetup(context, options);
+
+  await loadModel(embeddingCtx, preInitialized, report);
+
+  report('context-embed', 'start');
+  const scoringOptions = {
+    scoringMode: contextScoring || embeddingCtx.scoringMode,
+    topK: contextTopK || embeddingCtx.topK
+  };
+  await embeddingCtx.setContext(profile.text, { ...scoringOptions, signal });
+  if (explainMatches && !embeddingCtx.contextPoints) {
+    await embeddingCtx.embedContextPoints(profile, { signal });
+  }
+  if (classifier && !classifier.embeddings) {
+    await classifier.init(embeddingCtx, { signal });
+  }
+  // Excluded topics are embedded on their own, never mixed into the context
+  await embeddingCtx.setExclusions([...profile.excluded, ...exclude], { signal });
+  filterCtx.setSignalKeywords(profile, userKeywords);
+  filterCtx.setContextKeywords(profile);
+  const contextPointCount = embeddingCtx.contextPoints?.length || 0;
+  report('context-embed', 'done', { current: contextPointCount, total: contextPointCount });
+
+  return { scoringOptions, classifier, exclusionOptions, ruleSet };
+}
+
+/**
+ * Build a signal from an item that passed both thresholds
+ * With a classifier, the type comes from the blended per-type probabilities.
+ */
+function buildSignal(item, { relevance, novelty, matchedPoint, embedding = null, suppression = null, rule = null }, filterCtx, classifier = null) {
+  const classification = filterCtx.classifySignalType(item);
+  const semantic = classifier ? classifier.classify(embedding, classification) : null;
+  const signalType = semantic ? semantic.type : classification.type;
+  const relevanceConfidence = getConfidence(relevance);
+  const reason = generateReason(signalType, item, filterCtx, matchedPoint);
+
+  return {
+    ...item,
+    filter_result: {
+      signal_type: signalType,
+      signal_types: getSignalTypes(classification, semantic),
+      ...(semantic && { type_probabilities: roundProbabilities(semantic.probabilities) }),
+      confidence: relevanceConfidence,
+      keyword_confidence: classification.keywordConfidence,
+      matched_keyword: classification.matchedKeyword,
+      is_watched: classification.isWatched,
+      reason,
+      relevance_score: Math.round(relevance * 100),
+      novelty_score: Math.round(novelty * 100),
+      ...(suppression && { suppression }),
+      ...(rule && { rules: [rule] }),
+      ...(matchedPoint && {
+        matched_context_point: {
+          text: matchedPoint.text,
+          type: matchedPoint.type,
+          similarity: Math.round(matchedPoint.similarity * 100)
+        }
+      })
+    },
+    filtered_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Every matched signal type with its score and keywords, primary type first
+ * Keyword classifier: types with a keyword hit, scored by getKeywordScore.
+ * Semantic classifier: types with a keyword hit or enough probability, scored by probability.
+ */
+function getSignalTypes(classification, semantic) {
+  const keywordsByType = new Map(
+    classification.matches.map(match => [match.type, [...match.exact, ...match.generic]])
+  );
+
+  if (!semantic) {
+    const types = classification.matches.map(match => ({
+      type: match.type,
+      score: match.score,
+      keywords: keywordsByType.get(match.type)
+    }));
+    // No keyword hit: the fallback type alone
+    return types.length > 0 ? types : [{ type: classification.type, score: 0, keywords: [] }];
+  }
+
+  return Object.entries(semantic.probabilities)
+    .filter(([type, probability]) => type === semantic.type || keywordsByType.has(type) || probability >= MIN_TYPE_PROBABILITY)
+    .sort(([typeA, a], [typeB, b]) => (typeB === semantic.type) - (typeA === semantic.type) || b - a)
+    .map(([type, probability]) => ({
+      type,
+      score: Math.round(probability * 100) / 100,
+      keywords: keywordsByType.get(type) || []
+    }));
+}
+
+/**
+ * Round per-type probabilities for output (2 decimals)
+ */
+function roundProbabilities(probabilities) {
+  const rounded = {};
+  for (const [type, probability] of Object.entries(probabilities)) {
+    rounded[type] = Math.round(probability * 100) / 100;
+  }
+  return rounded;
+}
+
+/**
+ * Relabel a signal as part of a detected trend
+ */
+function markTrend(item, trend, filterCtx) {
+  const topic = filterCtx.extractTopic(item);
+  return {
+    ...item,
+    filter_result: {
+      ...item.filter_result,
+      signal_type: 'trend',
+      signal_types: [
+        { type: 'trend', score: 1, keywords: [] },
+        ...item.filter_result.signal_types.filter(entry => entry.type !== 'trend')
+      ],
+      reason: `Emerging trend in ${topic}: ${trend.size} related items from ${trend.sources.length} sources`,
+      trend
+    }
+  };
+}
+
+/**
+ * Add the display score and recency label to a scored signal
+ */
+function labelSignal(item) {
+  return {
+    ...item,
+    score: item.signalScore,
+    recencyLabel: getRecencyLabel(getRelevantTimestamp(item))
+  };
+}
+
+/**
+ * Score a batch of candidates: relevance, exclusions, and the embeddings that later phases need
+ * All the embedding work happens here, so classifyCandidates can't be interrupted.
+ * @param {Object[]} candidates - Items left after `before` rules
+ * @param {Object} run - Per-run state ({ embeddingCtx, scoringOptions, relevanceThreshold, signal })
+ * @param {Object} options - { included, batchSize, withEmbeddings, onProgress }
+ * @returns {Promise<{relevanceDetails: Map, itemEmbeddings: Map<string, Float32Array>}>}
+ */
+async function scoreCandidates(candidates, run, { included, batchSize, withEmbeddings = false, onProgress = null }) {
+  const { embeddingCtx, scoringOptions, relevanceThreshold, signal } = run;
+  const relevanceDetails = await embeddingCtx.batchRelevanceDetails(candidates, {
+    ...scoringOptions,
+    batchSize,
+    signal,
+    onProgress
+  });
+
+  const itemEmbeddings = withEmbeddings
+    ? await embedRelevantItems(embeddingCtx, candidates, relevanceDetails, relevanceThreshold, signal, included)
+    : new Map();
+
+  // Last cancellation point: classifyCandidates updates the NoveltyTracker
+  throwIfAborted(signal);
+  return { relevanceDetails, itemEmbeddings };
+}
+
+/**
+ * Apply thresholds and novelty to scored candidates and build the signals that pass
+ * Marks every candidate as seen.
+ * @param {Object[]} candidates - Items passed to scoreCandidates
+ * @param {{relevanceDetails: Map, itemEmbeddings: Map}} scored - scoreCandidates result
+ * @param {Object} run - Per-run state ({ filterCtx, classifier, exclusionOptions, noveltyTracker, identity, relevanceThreshold, noveltyThreshold })
+ * @param {Map<string, Object>} included - Include rule per forced item
+ * @returns {{signals: Object[], rejected: RejectedItem[], relevanceById: Map<string, number>}} Signals, dropped items and relevance after exclusions
+ */
+function classifyCandidates(candidates, { relevanceDetails, itemEmbeddings }, run, included) {
+  const { filterCtx, classifier, exclusionOptions, noveltyTracker, identity, relevanceThreshold, noveltyThreshold } = run;
+  const useDecayNovelty = noveltyTracker !== null;
+  const signals = [];
+  const rejected = [];
+  const relevanceById = new Map();
+
+  for (const item of candidates) {
+    const detail = relevanceDetails.get(item.id) || {};
+    const { matchedPoint = null } = detail;
+    const { relevance, suppression } = applyExclusion(detail, exclusionOptions);
+    relevanceById.set(item.id, relevance);
+
+    const key = getItemKey(item, identity);
+    const novelty = useDecayNovelty
+      ? noveltyTracker.getNoveltyScore(key)
+      : filterCtx.getNoveltyScore(key);
+
+    if (useDecayNovelty) {
+      noveltyTracker.markSeen(key, { title: item.title, source: item.source });
+    }
+    filterCtx.markSeen(key);
+
+    // Include rules always include: no threshold, exclusion or novelty check
+    const rule = included.get(item.id) || null;
+    const excluded = !rule && suppression?.action === 'dropped';
+    const passesRelevance = Boolean(rule) || relevance >= relevanceThreshold;
+    const passesNovelty = Boolean(rule) || (useDecayNovelty
+      ? novelty >= noveltyThreshold
+      : novelty > 0);
+
+    if (!excluded && passesRelevance && passesNovelty) {
+      const embedding = itemEmbeddings.get(item.id);
+      signals.push(buildSignal(item, { relevance, novelty, matchedPoint, embedding, suppression, rule }, filterCtx, classifier));
+    } else {
+      rejected.push({
+        item,
+        reason: excluded ? 'excluded' : passesRelevance ? 'stale-novelty' : 'below-relevance',
+        ...(excluded && { suppression }),
+        relevance_score: Math.round(relevance * 100),
+        novelty_score: Math.round(novelty * 100)
+      });
+    }
+  }
+
+  return { signals, rejected, relevanceById };
+}
+
+/**
+ * Item dropped by filterItems (detailed mode)
+ * Relevance is checked before novelty, so an item failing both is 'below-relevance'.
+ *
+ * @typedef {Object} RejectedItem
+ * @property {Object} item - The original item
+ * @property {string} reason - 'below-relevance', 'stale-novelty', 'excluded', 'rule', 'duplicate' or 'invalid'
+ * @property {string} [rule] - Name (or expression) of the exclude rule (rule only)
+ * @property {string} [detail] - Why an item is invalid
+ * @property {Object} [suppression] - Excluded topic the item was closer to than the context (excluded only)
+ * @property {string} [duplicate_of] - ID of the signal a duplicate was merged into
+ * @property {number} [similarity] - Similarity to that signal (0-100, duplicates only)
+ * @property {number} [relevance_score] - Relevance (0-100)
+ * @property {number} [novelty_score] - Novelty (0-100)
+ */
+
+/**
+ * Per-source counts from the final signals and rejected items, so they add up
+ * Invalid items have no source; relevance is averaged over the items that were scored.
+ */
+function getSourceStats(signals, rejected, relevanceById) {
+  const bySource = {};
+  const count = (item, passed) => {
+    const source = item.source || 'unknown';
+    if (!bySource[source]) {
+      bySource[source] = { total: 0, passed: 0, scored: 0, relevanceSum: 0 };
+    }
+    const stats = bySource[source];
+    stats.total++;
+    if (passed) stats.passed++;
+    if (relevanceById.has(item.id)) {
+      stats.scored++;
+      stats.relevanceSum += relevanceById.get(item.id);
+    }
+  };
+
+  signals.forEach(item => count(item, true));
+  rejected.forEach(({ item, reason }) => {
+    if (reason !== 'invalid') count(item, false);
+  });
+  return bySource;
+}
+
+/**
+ * Summarize a filterItems run (detailed mode)
+ */
+function createRunStats({ items, validItems, signals, rejected, relevanceById, relevanceThreshold, noveltyThreshold, startTime }) {
+  const rejectedByReason = { 'below-relevance': 0, 'stale-novelty': 0, excluded: 0, rule: 0, duplicate: 0, invalid: 0 };
+  rejected.forEach(({ reason }) => { rejectedByReason[reason]++; });
+
+  const bySource = {};
+  for (const [source, stats] of Object.entries(getSourceStats(signals, rejected, relevanceById))) {
+    bySource[source] = {
+      total: stats.total,
+      passed: stats.passed,
+      avgRelevance: stats.scored > 0 ? Math.round((stats.relevanceSum / stats.scored) * 100) : 0
+    };
+  }
+
+  return {
+    total: items.length,
+    valid: validItems.length,
+    passed: signals.length,
+    rejected: rejectedByReason,
+    bySource,
+    thresholds: { relevance: relevanceThreshold, novelty: noveltyThreshold },
+    durationMs: Date.now() - startTime
+  };
+}
+
 /**
  * Filter items using embeddings
  *
  * @param {Array} items - Items to filter (must have id, title, description)
- * @param {string} context - User context document (markdown)
+ * @param {string|ProfileDefinition} context - User context document (markdown, optionally with YAML front matter), JSON profile or profile definition
  * @param {Object} options - Filtering options
  * @param {number} options.relevanceThreshold - Min relevance score (0-1, default: 0.30)
  * @param {number} options.noveltyThreshold - Min novelty score (0-1, default: 0.5)
- * @param {number} options.concurrency - Parallel batch size (default: 10)
+ * @param {number} options.batchSize - Items per embedding forward pass (default: 32)
+ * @param {number} options.concurrency - Deprecated alias for batchSize
+ * @param {string} options.contextScoring - 'centroid', 'max' or 'top-k-mean' (default: 'centroid')
+ * @param {number} options.contextTopK - Points averaged in 'top-k-mean' mode (default: 3)
+ * @param {boolean} options.explainMatches - Attach the closest context point to every signal (default: false)
  * @param {Object} options.userKeywords - User-provided keywords for classification
+ * @param {string[]} options.exclude - Topics you are not interested in, added to the context's "Not Interested In" section
+ * @param {string} options.exclusionMode - 'drop' or 'penalize' items closer to an excluded topic than to the context (default: 'drop')
+ * @param {number} options.exclusionPenalty - Share of relevance removed in 'penalize' mode (0-1, default: 0.5)
+ * @param {number} options.exclusionMargin - How much closer to an excluded topic an item must be to be suppressed (default: 0)
+ * @param {Object[]|RuleSet} options.rules - Keyword rules ({ when, action: 'include'|'exclude'|'type'|'boost', type, boost, stage, name })
  * @param {Object} options.noveltyTracker - Optional NoveltyTracker instance
+ * @param {string} options.identity - Novelty key: 'id' (source id) or 'canonical' (cross-source canonical_id) (default: the tracker's identity, else 'id')
  * @param {Object} options.embeddingContext - Optional pre-initialized EmbeddingContext (for browser progress)
+ * @param {Object} options.provider - Embedding provider (default: local transformers.js model)
+ * @param {boolean|Object} options.worker - Run the local model in a Web Worker / worker_threads pool
+ * @param {string} options.modelName - Local model ID (default: 'Xenova/all-MiniLM-L6-v2')
+ * @param {Object} options.modelProfile - Overrides for the model profile (prefixes, pooling, maxTokens)
+ * @param {string} options.localModelPath - Directory holding local model folders (offline use)
+ * @param {string} options.cacheDir - Directory for downloaded model files (Node.js)
+ * @param {boolean} options.allowRemoteModels - Allow model downloads from the hub (default: true)
+ * @param {Object} options.cacheStore - Optional persistent embedding cache store
+ * @param {number} options.chunkTokens - Tokens per chunk for long text (default: model's maxTokens)
+ * @param {string} options.chunkAggregation - 'weighted-mean', 'max' or 'first' (default: 'weighted-mean')
+ * @param {boolean} options.clusterDuplicates - Merge near-duplicate signals across sources into one (default: false)
+ * @param {number} options.duplicateThreshold - Min similarity for two signals to be duplicates (0-1, default: 0.85)
+ * @param {string|SignalClassifier} options.classifier - 'keyword' (first keyword match) or 'semantic' (embedding prototypes blended with keywords), or a SignalClassifier (default: 'keyword')
+ * @param {Object<string, string[]>} options.signalExemplars - Example items per signal type for the semantic classifier
+ * @param {number} options.classifierKeywordWeight - Weight of keyword hits in the semantic classifier (0-1, default: 0.3)
+ * @param {boolean} options.detectTrends - Label signals 'trend' from clusters of related signals instead of keywords (default: false)
+ * @param {number} options.trendSimilarity - Min similarity to a trend group (0-1, default: 0.6)
+ * @param {number} options.trendMinItems - Min distinct items in a trend (default: 3)
+ * @param {number} options.trendMinSources - Min distinct sources in a trend (default: 2)
+ * @param {number} options.trendWindowHours - Only items from the last N hours form trends (default: 72)
+ * @param {TrendHistory} options.trendHistory - Signals from earlier runs that count toward trends
+ * @param {function(FilterProgressEvent): void} options.onProgress - Structured progress for every pipeline phase
+ * @param {AbortSignal} options.signal - Cancels filtering; rejects with AbortError and leaves the NoveltyTracker unmodified
+ * @param {boolean} options.detailed - Return { signals, rejected, stats } instead of the signals array (default: false)
  * @param {boolean} options.verbose - Log detailed progress (default: false)
- * @returns {Array} Filtered and scored signals
+ * @returns {Array|{signals: Array, rejected: RejectedItem[], stats: Object}} Filtered and scored signals
  */
 export async function filterItems(items, context, options = {}) {
   const startTime = Date.now();
@@ -341,35 +928,56 @@ export async function filterItems(items, context, options = {}) {
   const {
     relevanceThreshold = DEFAULT_RELEVANCE_THRESHOLD,
     noveltyThreshold = DEFAULT_NOVELTY_THRESHOLD,
-    concurrency = 10,
-    userKeywords = {},
+    batchSize = null,
+    concurrency = null,
     noveltyTracker = null,
     embeddingContext = null,
     existingIds = [],
+    identity = noveltyTracker?.identity || 'id',
+    clusterDuplicates = false,
+    duplicateThreshold = DEFAULT_DUPLICATE_THRESHOLD,
+    detectTrends: trendDetection = false,
+    trendHistory = null,
+    signal = null,
+    onProgress = null,
+    detailed = false,
     verbose = false
   } = options;
 
+  throwIfAborted(signal);
+
+  // Track dropped items
+  const rejected = [];
+  const finish = (signals, validItems = [], relevanceById = new Map()) => {
+    if (!detailed) return signals;
+    const stats = createRunStats({
+      items: items || [], validItems, signals, rejected, relevanceById, relevanceThreshold, noveltyThreshold, startTime
+    });
+    return { signals, rejected, stats };
+  };
+
   // Input validation
   if (!items || items.length === 0) {
-    return [];
+    return finish([]);
   }
 
-  if (!context || typeof context !== 'string') {
-    throw new Error('Context must be a non-empty string');
+  if (!context || (typeof context !== 'string' && typeof context !== 'object')) {
+    throw new Error('Context must be a non-empty string or profile object');
   }
 
   // Validate items have required fields
   const validItems = items.filter(item => {
-    if (!item || typeof item !== 'object') return false;
-    if (!item.id) {
-      if (verbose) console.warn('Skipping item without id:', item.title?.slice(0, 50));
+    const invalid = getInvalidReason(item);
+    if (invalid) {
+      if (verbose && invalid === 'missing id') console.warn('Skipping item without id:', item.title?.slice(0, 50));
+      rejected.push({ item, reason: 'invalid', detail: invalid });
       return false;
     }
     return true;
   });
 
   if (validItems.length === 0) {
-    return [];
+    return finish([]);
   }
 
   if (verbose && validItems.length < items.length) {
@@ -377,117 +985,395 @@ export async function filterItems(items, context, options = {}) {
   }
 
   // Create request-scoped contexts
-  const embeddingCtx = embeddingContext || new EmbeddingContext({ cacheSize: 1000 });
-  const filterCtx = new FilterContext({ existingIds });
+  const embeddingCtx = embeddingContext || createEmbeddingContext(options);
+  const filterCtx = new FilterContext({ existingIds, keywordTrends: !trendDetection });
+
+  const report = createProgressReporter(onProgress, startTime);
+  const { scoringOptions, classifier, exclusionOptions, ruleSet } = await prepareContexts(embeddingCtx, filterCtx, context, {
+    ...options,
+    preInitialized: Boolean(embeddingContext),
+    report
+  });
 
-  // Initialize (skip if pre-initialized context was provided)
-  if (!embeddingContext) {
-    await embeddingCtx.init();
-  }
-  await embeddingCtx.setContext(context);
-  filterCtx.setSignalKeywords(context, userKeywords);
-  filterCtx.setContextKeywords(context);
+  // Exclude rules drop items before they are embedded; include rules skip the thresholds
+  const { candidates, included } = applyRulesBefore(ruleSet, validItems, (item, match) => {
+    rejected.push({ item, reason: 'rule', rule: match.rule });
+  });
 
   // Determine novelty strategy
   const useDecayNovelty = noveltyTracker !== null;
   if (useDecayNovelty) {
-    const itemIds = validItems.map(i => i.id);
-    await noveltyTracker.loadBatch(itemIds);
+    report('novelty-load', 'start', { current: 0, total: candidates.length });
+    const itemKeys = candidates.map(i => getItemKey(i, identity));
+    await noveltyTracker.loadBatch(itemKeys);
+    report('novelty-load', 'done', { current: candidates.length, total: candidates.length });
   }
 
-  // Track stats per source
-  const sourceStats = {};
-
   // Pre-compute relevance scores
-  const relevanceScores = await embeddingCtx.batchRelevanceScores(validItems, {
-    concurrency,
-    onProgress: verbose ? (current, total) => {
-      if (current % 50 === 0 || current === total) {
-        console.log(`  Relevance scoring: ${current}/${total}`);
+  // The relevant items' embeddings are re-read below, so the cache must hold every
+  // candidate until the run ends
+  const previousCacheSize = embeddingCtx.ensureCacheCapacity(candidates.length);
+  try {
+    const run = {
+      embeddingCtx, filterCtx, scoringOptions, classifier, exclusionOptions,
+      noveltyTracker, identity, relevanceThreshold, noveltyThreshold, signal
+    };
+    report('scoring', 'start', { current: 0, total: candidates.length });
+    const scored = await scoreCandidates(candidates, run, {
+      included,
+      batchSize: batchSize || concurrency || embeddingCtx.batchSize,
+      // Fetched with the scores, so clustering and trends can't be cancelled half-way
+      withEmbeddings: Boolean(classifier || clusterDuplicates || trendDetection),
+      onProgress: (current, total) => {
+        if (verbose) console.log(`  Relevance scoring: ${current}/${total}`);
+        report('scoring', 'progress', { current, total });
       }
-    } : null
-  });
+    });
+    report('scoring', 'done', { current: candidates.length, total: candidates.length });
+
+    // Filter
+    report('classifying', 'start', { current: 0, total: candidates.length });
+    const { signals, rejected: dropped, relevanceById } = classifyCandidates(candidates, scored, run, included);
+    let filteredItems = signals;
+    rejected.push(...dropped);
+    const { itemEmbeddings } = scored;
+    report('classifying', 'done', { current: candidates.length, total: candidates.length, passed: filteredItems.length });
+
+    // Merge near-duplicates (embeddings come from the scoring pass)
+    if (clusterDuplicates && filteredItems.length > 1) {
+      report('clustering', 'start', { current: 0, total: filteredItems.length });
+      const embeddings = filteredItems.map(item => itemEmbeddings.get(item.id));
+      const clustered = clusterNearDuplicates(filteredItems, embeddings, { threshold: duplicateThreshold });
+      for (const { item, canonicalId, similarity } of clustered.duplicates) {
+        rejected.push({
+          item,
+          reason: 'duplicate',
+          duplicate_of: canonicalId,
+          similarity: Math.round(similarity * 100)
+        });
+      }
+      filteredItems = clustered.items;
+      report('clustering', 'done', {
+        current: filteredItems.length,
+        total: filteredItems.length + clustered.duplicates.length,
+        duplicates: clustered.duplicates.length
+      });
+    }
 
-  // Filter
-  const filteredItems = [];
+    // Label signals that belong to a group of related signals
+    if (trendDetection && filteredItems.length > 0) {
+      report('trend-detection', 'start', { current: 0, total: filteredItems.length });
+      const embeddings = filteredItems.map(item => itemEmbeddings.get(item.id));
+      const trends = detectTrends(filteredItems, embeddings, {
+        similarity: options.trendSimilarity,
+        minItems: options.trendMinItems,
+        minSources: options.trendMinSources,
+        windowHours: options.trendWindowHours,
+        history: trendHistory
+      });
+      filteredItems = filteredItems.map(item =>
+        trends.has(item.id) ? markTrend(item, trends.get(item.id), filterCtx) : item
+      );
+      trendHistory?.add(filteredItems, embeddings);
+      report('trend-detection', 'done', { current: filteredItems.length, total: filteredItems.length, trends: trends.size });
+    }
 
-  for (const item of validItems) {
-    const source = item.source || 'unknown';
+    // Type, boost and after-scoring exclude rules see the final signal type
+    filteredItems = applyRulesAfter(ruleSet, filteredItems, (item, match) => {
+      rejected.push({ item, reason: 'rule', rule: match.rule });
+    });
 
-    if (!sourceStats[source]) {
-      sourceStats[source] = { total: 0, passed: 0, avgRelevance: 0, relevanceSum: 0 };
+    // Flush novelty updates and persisted embeddings
+    if (useDecayNovelty) {
+      report('novelty-flush', 'start');
+      await noveltyTracker.flush();
+      report('novelty-flush', 'done');
     }
-    sourceStats[source].total++;
+    await embeddingCtx.flush();
 
-    const relevance = relevanceScores.get(item.id) || 0;
-    sourceStats[source].relevanceSum += relevance;
-    sourceStats[source].avgRelevance = sourceStats[source].relevanceSum / sourceStats[source].total;
+    // Score and sort
+    const scoredItems = scoreAndSortSignals(filteredItems, { sortBy: 'score' });
 
-    const novelty = useDecayNovelty
-      ? noveltyTracker.getNoveltyScore(item.id)
-      : filterCtx.getNoveltyScore(item.id);
+    // Add recency labels
+    const itemsWithLabels = scoredItems.map(labelSignal);
 
-    if (useDecayNovelty) {
-      noveltyTracker.markSeen(item.id, { title: item.title, source: item.source });
+    if (verbose) {
+      console.log(`\nFiltered ${validItems.length} -> ${itemsWithLabels.length} signals in ${Date.now() - startTime}ms`);
+      for (const [source, stats] of Object.entries(getSourceStats(itemsWithLabels, rejected, relevanceById))) {
+        const passRate = stats.total > 0 ? Math.round((stats.passed / stats.total) * 100) : 0;
+        console.log(`  ${source}: ${stats.passed}/${stats.total} (${passRate}%)`);
+      }
     }
-    filterCtx.markSeen(item.id);
 
-    const passesRelevance = relevance >= relevanceThreshold;
-    const passesNovelty = useDecayNovelty
-      ? novelty >= noveltyThreshold
-      : novelty > 0;
-
-    if (passesRelevance && passesNovelty) {
-      sourceStats[source].passed++;
-
-      const classification = filterCtx.classifySignalType(item);
-      const relevanceConfidence = getConfidence(relevance);
-      const reason = generateReason(classification.type, item, filterCtx);
-
-      filteredItems.push({
-        ...item,
-        filter_result: {
-          signal_type: classification.type,
-          confidence: relevanceConfidence,
-          keyword_confidence: classification.keywordConfidence,
-          matched_keyword: classification.matchedKeyword,
-          is_watched: classification.isWatched,
-          reason,
-          relevance_score: Math.round(relevance * 100),
-          novelty_score: Math.round(novelty * 100)
-        },
-        filtered_at: new Date().toISOString()
-      });
+    return finish(itemsWithLabels, validItems, relevanceById);
+  } finally {
+    embeddingCtx.restoreCacheCapacity(previousCacheSize);
+  }
+}
+
+/**
+ * Check filterProfiles' profiles up front, so a bad one fails before any profile runs
+ * @returns {Array<[string, Object]>} Profile entries
+ */
+function validateProfiles(profiles, options) {
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles) || Object.keys(profiles).length === 0) {
+    throw new Error('Profiles must be an object of { name: { context, ...options } } with at least one profile');
+  }
+
+  const trackers = new Map();
+  const entries = Object.entries(profiles);
+  for (const [name, profile] of entries) {
+    if (!profile || typeof profile !== 'object' || !profile.context) {
+      throw new Error(`Profile "${name}" has no context`);
+    }
+    const shared = SHARED_PROFILE_OPTIONS.find(key => key in profile);
+    if (shared) {
+      throw new Error(`Profile "${name}" sets "${shared}", which all profiles share. Set it in the filterProfiles options instead`);
+    }
+
+    const { context, ...profileOptions } = profile;
+    try {
+      resolveFilterSetup(context, { ...options, ...profileOptions });
+    } catch (error) {
+      throw new Error(`Profile "${name}": ${error.message}`);
+    }
+
+    const tracker = profileOptions.noveltyTracker ?? options.noveltyTracker;
+    if (tracker && trackers.has(tracker)) {
+      throw new Error(`Profiles "${trackers.get(tracker)}" and "${name}" share a noveltyTracker; give each profile its own`);
     }
+    if (tracker) trackers.set(tracker, name);
   }
+  return entries;
+}
 
-  // Flush novelty updates
-  if (useDecayNovelty) {
-    await noveltyTracker.flush();
+/**
+ * Filter items against several named contexts, embedding each item once
+ *
+ * Each profile is a context plus its own filterItems options (thresholds,
+ * userKeywords, rules, exclude, noveltyTracker, ...), applied on top of the
+ * shared options. The model, provider and embedding settings are shared: items
+ * are embedded in one pass and every profile scores them from the cache.
+ * Profiles run in order; progress events carry the profile name.
+ *
+ * @example
+ * const results = await filterProfiles(items, {
+ *   alice: { context: aliceContext, noveltyTracker: aliceTracker },
+ *   devlens: { context: devlensProfile, relevanceThreshold: 0.4, rules }
+ * }, { batchSize: 64 });
+ * results.alice; // alice's signals
+ *
+ * @param {Array} items - Items to filter (must have id, title, description)
+ * @param {Object<string, Object>} profiles - Profile name -> { context, ...filterItems options }
+ * @param {Object} options - filterItems options shared by every profile (profiles override all but model, provider, embedding, signal and onProgress options)
+ * @returns {Promise<Object<string, Array|{signals: Array, rejected: RejectedItem[], stats: Object}>>} filterItems result per profile name
+ */
+export async function filterProfiles(items, profiles, options = {}) {
+  const startTime = Date.now();
+
+  const {
+    embeddingContext = null,
+    batchSize = null,
+    concurrency = null,
+    signal = null,
+    onProgress = null
+  } = options;
+
+  throwIfAborted(signal);
+  const entries = validateProfiles(profiles, options);
+
+  const embeddingCtx = embeddingContext || createEmbeddingContext(options);
+  const report = createProgressReporter(onProgress, startTime);
+  const validItems = (items || []).filter(item => !getInvalidReason(item));
+
+  if (validItems.length > 0) {
+    await loadModel(embeddingCtx, Boolean(embeddingContext), report);
   }
 
-  // Score and sort
-  const scoredItems = scoreAndSortSignals(filteredItems, { sortBy: 'score' });
+  // One embedding pass for every profile: room in the cache for all items
+  // (restored when the run ends, so a reused context doesn't keep the larger cache)
+  const previousCacheSize = embeddingCtx.ensureCacheCapacity(validItems.length);
+  try {
+    if (validItems.length > 0) {
+      report('item-embed', 'start', { current: 0, total: validItems.length });
+      await embeddingCtx.embedItems(validItems, { batchSize: batchSize || concurrency || embeddingCtx.batchSize, signal });
+      report('item-embed', 'done', { current: validItems.length, total: validItems.length });
+    }
 
-  // Add recency labels
-  const itemsWithLabels = scoredItems.map(item => ({
-    ...item,
-    score: item.signalScore,
-    recencyLabel: getRecencyLabel(getRelevantTimestamp(item))
-  }));
+    const results = {};
+    for (const [name, { context, ...profileOptions }] of entries) {
+      results[name] = await filterItems(items, context, {
+        ...options,
+        ...profileOptions,
+        embeddingContext: embeddingCtx,
+        onProgress: onProgress && (event => onProgress({ ...event, profile: name }))
+      });
+    }
+    return results;
+  } finally {
+    embeddingCtx.restoreCacheCapacity(previousCacheSize);
+  }
+}
 
-  if (verbose) {
-    console.log(`\nFiltered ${validItems.length} -> ${itemsWithLabels.length} signals in ${Date.now() - startTime}ms`);
-    for (const [source, stats] of Object.entries(sourceStats)) {
-      const passRate = stats.total > 0 ? Math.round((stats.passed / stats.total) * 100) : 0;
-      console.log(`  ${source}: ${stats.passed}/${stats.total} (${passRate}%)`);
+/**
+ * Group a stream of items (or arrays of items) into fixed-size batches
+ */
+async function* batchItems(source, size) {
+  let batch = [];
+  for await (const entry of source) {
+    for (const item of Array.isArray(entry) ? entry : [entry]) {
+      batch.push(item);
+      if (batch.length >= size) {
+        yield batch;
+        batch = [];
+      }
     }
   }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+/**
+ * Insert signals into a top-N buffer kept sorted by score (highest first)
+ */
+function keepTopSignals(top, signals, topN) {
+  for (const signal of signals) {
+    if (top.length >= topN && signal.signalScore <= top[top.length - 1].signalScore) continue;
+    const idx = top.findIndex(other => signal.signalScore > other.signalScore);
+    top.splice(idx === -1 ? top.length : idx, 0, signal);
+    if (top.length > topN) top.pop();
+  }
+}
+
+/**
+ * Filter a stream of items, yielding signals as they pass
+ *
+ * Items are pulled in batches, so memory stays flat on large backfills.
+ * Accepts anything iterable (sync or async) that yields items or arrays of
+ * items - e.g. an async generator wrapping the source fetchers. Novelty
+ * updates are flushed every `noveltyFlushInterval` items and when the stream ends.
+ *
+ * Takes the same options as filterItems (except `detailed`, `clusterDuplicates` and `detectTrends`), plus:
+ * @param {AsyncIterable|Iterable} source - Items, or arrays of items
+ * @param {string|ProfileDefinition} context - User context document (markdown, optionally with YAML front matter), JSON profile or profile definition
+ * @param {Object} options - Filtering options
+ * @param {number} options.batchSize - Items pulled and embedded per batch (default: 32)
+ * @param {number} options.noveltyFlushInterval - Items marked seen between NoveltyTracker flushes (default: 500)
+ * @param {number} options.topN - Keep only the N best signals and yield them, sorted, when the stream ends
+ * @returns {AsyncGenerator<Object>} Signals (same shape as filterItems results); each batch is yielded best first
+ */
+export async function* filterStream(source, context, options = {}) {
+  const startTime = Date.now();
+
+  const {
+    relevanceThreshold = DEFAULT_RELEVANCE_THRESHOLD,
+    noveltyThreshold = DEFAULT_NOVELTY_THRESHOLD,
+    batchSize = null,
+    concurrency = null,
+    noveltyFlushInterval = DEFAULT_NOVELTY_FLUSH_INTERVAL,
+    topN = null,
+    noveltyTracker = null,
+    embeddingContext = null,
+    existingIds = [],
+    identity = noveltyTracker?.identity || 'id',
+    signal = null,
+    onProgress = null,
+    verbose = false
+  } = options;
+
+  throwIfAborted(signal);
 
-  return itemsWithLabels;
+  if (!context || (typeof context !== 'string' && typeof context !== 'object')) {
+    throw new Error('Context must be a non-empty string or profile object');
+  }
+
+  const embeddingCtx = embeddingContext || createEmbeddingContext(options);
+  const filterCtx = new FilterContext({ existingIds });
+  const report = createProgressReporter(onProgress, startTime);
+  const { scoringOptions, classifier, exclusionOptions, ruleSet } = await prepareContexts(embeddingCtx, filterCtx, context, {
+    ...options,
+    // Trend detection needs the whole run, so streamed signals keep keyword trends
+    detectTrends: false,
+    preInitialized: Boolean(embeddingContext),
+    report
+  });
+
+  const size = batchSize || concurrency || DEFAULT_STREAM_BATCH_SIZE;
+  // The classifier re-reads each batch's embeddings, so the cache must hold a whole batch
+  const previousCacheSize = embeddingCtx.ensureCacheCapacity(size);
+  const useDecayNovelty = noveltyTracker !== null;
+  const run = {
+    embeddingCtx, filterCtx, scoringOptions, classifier, exclusionOptions,
+    noveltyTracker, identity, relevanceThreshold, noveltyThreshold, signal
+  };
+  const top = [];
+  let processed = 0;
+  let passed = 0;
+  let unflushed = 0;
+
+  report('scoring', 'start', { current: 0 });
+  try {
+    for await (const batch of batchItems(source, size)) {
+      throwIfAborted(signal);
+
+      const validItems = batch.filter(item => {
+        const invalid = getInvalidReason(item);
+        if (invalid === 'missing id' && verbose) console.warn('Skipping item without id:', item.title?.slice(0, 50));
+        return !invalid;
+      });
+      processed += batch.length;
+      const { candidates, included } = applyRulesBefore(ruleSet, validItems);
+      if (candidates.length === 0) continue;
+
+      if (useDecayNovelty) {
+        await noveltyTracker.loadBatch(candidates.map(i => getItemKey(i, identity)));
+      }
+      const scored = await scoreCandidates(candidates, run, { included, batchSize: size, withEmbeddings: Boolean(classifier) });
+      const { signals: built } = classifyCandidates(candidates, scored, run, included);
+      const signals = applyRulesAfter(ruleSet, built)
+        .map(item => labelSignal(calculateSignalScore(item)));
+      passed += signals.length;
+      unflushed += candidates.length;
+
+      if (verbose) console.log(`  Stream: ${passed} signals from ${processed} items`);
+      report('scoring', 'progress', { current: processed, passed });
+
+      if (useDecayNovelty && unflushed >= noveltyFlushInterval) {
+        report('novelty-flush', 'start');
+        await noveltyTracker.flush();
+        report('novelty-flush', 'done');
+        unflushed = 0;
+      }
+
+      signals.sort((a, b) => b.signalScore - a.signalScore);
+      if (topN) {
+        keepTopSignals(top, signals, topN);
+      } else {
+        for (const item of signals) {
+          yield item;
+        }
+      }
+    }
+    report('scoring', 'done', { current: processed, passed });
+
+    for (const item of top) {
+      yield item;
+    }
+  } finally {
+    // Also runs when the consumer stops early or the stream is aborted:
+    // items from completed batches stay marked as seen
+    if (useDecayNovelty && unflushed > 0) {
+      await noveltyTracker.flush();
+    }
+    await embeddingCtx.flush();
+    embeddingCtx.restoreCacheCapacity(previousCacheSize);
+  }
 }
 
 export default {
   FilterContext,
-  filterItems
+  filterItems,
+  filterProfiles,
+  filterStream
 };
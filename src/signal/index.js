@@ -3,13 +3,53 @@
  *
  * Exports all signal-related functionality:
  * - filterItems: Main filtering function
+ * - filterStream: Streaming variant for async iterables
+ * - filterProfiles: Several named contexts, items embedded once
  * - EmbeddingContext: Semantic embedding handling
+ * - Embedding providers: Pluggable embedding backends (inline or worker-backed)
+ * - Embedding cache stores: Persistent embedding caching
+ * - Chunking: Token-aware splitting of long text, chunk embedding aggregation
  * - NoveltyTracker: Decay-based novelty tracking
+ * - clusterNearDuplicates: Cross-source near-duplicate clustering
+ * - URL canonicalization: Cross-source item identity
+ * - Trend detection: Groups of related signals across sources
+ * - SignalClassifier: Zero-shot semantic signal types
+ * - parseContext: Markdown context document to ContextProfile
+ * - Structured profiles: JSON / YAML front-matter context, validated
+ * - RuleSet: Boolean keyword rules (include, exclude, force type, boost)
  * - Scoring utilities
  */
 
-export { filterItems, FilterContext } from './filter.js';
-export { EmbeddingContext, cosineSimilarity, isInitialized } from './embeddings.js';
+export { filterItems, filterStream, filterProfiles, FilterContext } from './filter.js';
+export {
+  EmbeddingContext,
+  cosineSimilarity,
+  isInitialized,
+  disposePipeline,
+  disposeAllPipelines
+} from './embeddings.js';
+export {
+  TransformersProvider,
+  OpenAIEmbeddingProvider,
+  PrecomputedEmbeddingProvider
+} from './providers.js';
+export { WorkerEmbeddingProvider } from './worker.js';
+export { getModelProfile } from './models.js';
+export { CHUNK_AGGREGATIONS, splitSentences, chunkByTokens, aggregateChunkEmbeddings } from './chunking.js';
+export { AbortError, isAbortError } from './abort.js';
+export { clusterNearDuplicates } from './cluster.js';
+export { canonicalizeUrl, getCanonicalId } from './canonical.js';
+export { TrendHistory, detectTrends } from './trends.js';
+export { SignalClassifier, SIGNAL_TYPE_PROTOTYPES } from './classifier.js';
+export { parseContext, markdownToProfile } from './context.js';
+export { validateProfile, profileToMarkdown, parseFrontMatter } from './profile.js';
+export { RuleSet, parseRuleExpression, matchesExpression } from './rules.js';
+export {
+  MemoryEmbeddingStore,
+  FileEmbeddingStore,
+  IndexedDBEmbeddingStore,
+  createCacheKey
+} from './cache.js';
 export { NoveltyTracker, MemoryStorageAdapter, FileStorageAdapter, LocalStorageAdapter } from './novelty.js';
 export {
   calculateSignalScore,
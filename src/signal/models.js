@@ -0,0 +1,101 @@
+/**
+ * Model Profiles
+ * How to feed text to a given embedding model
+ *
+ * Instruction-tuned models (e5, bge, nomic) expect different prefixes for the
+ * query side (your context) and the passage side (feed items), and some use CLS
+ * pooling instead of mean pooling. Profiles are matched by model ID so switching
+ * models applies the right settings automatically.
+ */
+
+/**
+ * @typedef {Object} ModelProfile
+ * @property {string} queryPrefix - Prepended to context text (what you are looking for)
+ * @property {string} passagePrefix - Prepended to item text (what is being searched)
+ * @property {string} pooling - 'mean' or 'cls'
+ * @property {number} maxTokens - Model input limit in tokens
+ * @property {boolean} normalize - L2-normalize output vectors
+ */
+
+/** @type {ModelProfile} */
+const DEFAULT_PROFILE = {
+  queryPrefix: '',
+  passagePrefix: '',
+  pooling: 'mean',
+  maxTokens: 256,
+  normalize: true
+};
+
+// First matching pattern wins; patterns match anywhere in the model ID
+// so `Xenova/e5-small-v2`, `intfloat/e5-small-v2` and `e5-small-v2` all resolve.
+const MODEL_PROFILES = [
+  {
+    pattern: /(?:^|[/#])(?:multilingual-)?e5-(?:small|base|large)/i,
+    profile: { queryPrefix: 'query: ', passagePrefix: 'passage: ', pooling: 'mean', maxTokens: 512 }
+  },
+  {
+    pattern: /bge-(?:small|base|large)-en/i,
+    profile: {
+      queryPrefix: 'Represent this sentence for searching relevant passages: ',
+      passagePrefix: '',
+      pooling: 'cls',
+      maxTokens: 512
+    }
+  },
+  {
+    pattern: /nomic-embed-text/i,
+    profile: { queryPrefix: 'search_query: ', passagePrefix: 'search_document: ', pooling: 'mean', maxTokens: 8192 }
+  },
+  {
+    pattern: /gte-(?:small|base|large)/i,
+    profile: { pooling: 'mean', maxTokens: 512 }
+  },
+  {
+    pattern: /paraphrase-.*minilm/i,
+    profile: { pooling: 'mean', maxTokens: 128 }
+  },
+  {
+    pattern: /all-(?:minilm|mpnet)/i,
+    profile: { pooling: 'mean', maxTokens: 256 }
+  }
+];
+
+const POOLING_STRATEGIES = ['mean', 'cls'];
+
+/**
+ * Resolve the profile for a model, with optional overrides
+ *
+ * @param {string} modelId - Model ID (e.g. 'Xenova/e5-small-v2')
+ * @param {Partial<ModelProfile>} overrides - Fields to override (e.g. for unlisted models)
+ * @returns {ModelProfile} Resolved profile
+ */
+export function getModelProfile(modelId, overrides = {}) {
+  const match = MODEL_PROFILES.find(({ pattern }) => pattern.test(modelId || ''));
+  const profile = { ...DEFAULT_PROFILE, ...(match ? match.profile : {}), ...overrides };
+
+  if (!POOLING_STRATEGIES.includes(profile.pooling)) {
+    throw new Error(`Unknown pooling "${profile.pooling}". Expected one of: ${POOLING_STRATEGIES.join(', ')}`);
+  }
+  if (!Number.isFinite(profile.maxTokens) || profile.maxTokens <= 0) {
+    throw new Error(`Model profile maxTokens must be a positive number, got ${profile.maxTokens}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Prefix text for its role
+ * @param {ModelProfile} profile - Model profile
+ * @param {string|null} role - 'query', 'passage' or null (raw text)
+ * @returns {string} Prefix to prepend
+ */
+export function getRolePrefix(profile, role) {
+  if (role === 'query') return profile.queryPrefix;
+  if (role === 'passage') return profile.passagePrefix;
+  return '';
+}
+
+export default {
+  getModelProfile,
+  getRolePrefix
+};
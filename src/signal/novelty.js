@@ -8,6 +8,8 @@
  * Storage: Pluggable via StorageAdapter interface (in-memory, file, database, etc.)
  */
 
+import { getItemKey } from './canonical.js';
+
 // Default decay settings
 const DEFAULT_HALF_LIFE_DAYS = 1;
 const MIN_NOVELTY_SCORE = 0.1;
@@ -241,11 +243,13 @@ export class NoveltyTracker {
    * @param {StorageAdapter} options.storage - Storage adapter for persistence
    * @param {number} options.halfLifeDays - Half-life for novelty decay (default: 1)
    * @param {number} options.minScore - Minimum novelty score floor (default: 0.1)
+   * @param {string} options.identity - Key items by 'id' (source id) or 'canonical' (canonical_id, shared across sources) (default: 'id')
    */
   constructor(options = {}) {
     this.storage = options.storage || new MemoryStorageAdapter();
     this.halfLifeDays = options.halfLifeDays || DEFAULT_HALF_LIFE_DAYS;
     this.minScore = options.minScore || MIN_NOVELTY_SCORE;
+    this.identity = options.identity || 'id';
     this.cache = new Map();
     this.pendingUpdates = new Map();
   }
@@ -330,6 +334,7 @@ export class NoveltyTracker {
 
   /**
    * Batch process items - get novelty scores and mark all as seen
+   * Items are tracked under their id, or canonical_id with identity 'canonical'.
    * @param {Array} items - Array of items with id field
    * @returns {Map} Map of item.id -> novelty score
    */
@@ -337,9 +342,10 @@ export class NoveltyTracker {
     const scores = new Map();
 
     for (const item of items) {
-      const novelty = this.getNoveltyScore(item.id);
+      const key = getItemKey(item, this.identity);
+      const novelty = this.getNoveltyScore(key);
       scores.set(item.id, novelty);
-      this.markSeen(item.id, {
+      this.markSeen(key, {
         title: item.title,
         source: item.source
       });
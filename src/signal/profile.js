@@ -0,0 +1,298 @@
+/**
+ * Structured Context Profiles
+ * JSON / YAML front-matter alternative to the free-form markdown context
+ *
+ * A profile definition names each part of the context explicitly, so meaning
+ * doesn't depend on section headings. Definitions are validated, and convert
+ * to markdown (profileToMarkdown) for everything downstream; see context.js
+ * for the reverse direction.
+ *
+ * @example
+ * {
+ *   name: 'DevLens',
+ *   building: { name: 'DevLens', description: 'AI code review for large monorepos' },
+ *   competitors: ['Cursor', 'GitHub Copilot'],
+ *   technologies: ['tree-sitter', 'embeddings'],
+ *   painPoints: ['Slow reviews on large PRs'],
+ *   assumptions: ['Teams will pay for review bots?'],
+ *   trends: ['Agents replacing autocomplete'],
+ *   watching: ['gpt-4', 'claude'],
+ *   exclude: ['crypto', 'hiring posts']
+ * }
+ */
+
+// List fields and the markdown section each one becomes
+const LIST_SECTIONS = {
+  competitors: 'Competitors',
+  technologies: 'Technologies',
+  painPoints: 'Pain Points',
+  assumptions: 'Assumptions',
+  trends: 'Trends',
+  watching: 'Watch List',
+  exclude: 'Not Interested In'
+};
+
+export const PROFILE_FIELDS = ['name', 'building', ...Object.keys(LIST_SECTIONS)];
+
+/**
+ * Structured context profile
+ *
+ * @typedef {Object} ProfileDefinition
+ * @property {string} [name] - Profile title
+ * @property {string|{name: string, description: string}} [building] - What you're building
+ * @property {string[]} [competitors] - Competitor names (optionally "Name — note")
+ * @property {string[]} [technologies] - Technologies, tools and frameworks
+ * @property {string[]} [painPoints] - Problems and unmet needs
+ * @property {string[]} [assumptions] - Assumptions or open questions to challenge
+ * @property {string[]} [trends] - Market and industry trends
+ * @property {string[]} [watching] - Keywords to always watch (like userKeywords.global)
+ * @property {string[]} [exclude] - Topics you are not interested in
+ */
+
+/**
+ * camelCase form of a snake/kebab-case key (pain_points -> painPoints)
+ */
+function toCamelCase(key) {
+  return key.replace(/[_-]+(\w)/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Profile field a key is, or is a near miss of (pain_points -> painPoints); undefined otherwise
+ */
+function matchProfileField(key) {
+  return PROFILE_FIELDS.find(field => field === toCamelCase(key) || field.toLowerCase() === key.toLowerCase());
+}
+
+/**
+ * Whether front-matter keys describe a profile
+ * `name` alone doesn't count: ordinary front matter (title, date, tags) often has one.
+ */
+function isProfileKeys(keys) {
+  return keys.some(key => key !== 'name' && matchProfileField(key));
+}
+
+/**
+ * Validate a profile definition
+ * Throws one Error listing every problem found.
+ *
+ * @param {ProfileDefinition} definition - Profile to check
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requireInterests - Fail when nothing but `exclude` is set (default: true)
+ * @returns {ProfileDefinition} The same definition
+ */
+export function validateProfile(definition, options = {}) {
+  const { requireInterests = true } = options;
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Invalid context profile: expected an object with fields ' + PROFILE_FIELDS.join(', '));
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(definition)) {
+    if (PROFILE_FIELDS.includes(key)) continue;
+    const suggestion = matchProfileField(key);
+    errors.push(suggestion
+      ? `Unknown field "${key}". Did you mean "${suggestion}"?`
+      : `Unknown field "${key}". Expected one of: ${PROFILE_FIELDS.join(', ')}`);
+  }
+
+  if (definition.name !== undefined && typeof definition.name !== 'string') {
+    errors.push('"name" must be a string');
+  }
+
+  const { building } = definition;
+  if (building !== undefined && building !== null) {
+    if (typeof building === 'object' && !Array.isArray(building)) {
+      if (typeof building.description !== 'string' || !building.description.trim()) {
+        errors.push('"building.description" must be a non-empty string');
+      }
+      if (building.name !== undefined && typeof building.name !== 'string') {
+        errors.push('"building.name" must be a string');
+      }
+    } else if (typeof building !== 'string') {
+      errors.push('"building" must be a string or { name, description }');
+    }
+  }
+
+  for (const field of Object.keys(LIST_SECTIONS)) {
+    const value = definition[field];
+    if (value === undefined || value === null) continue;
+    if (!Array.isArray(value)) {
+      errors.push(`"${field}" must be a list of strings` + (typeof value === 'string' ? ` (got a single string; use ["${value}"])` : ''));
+      continue;
+    }
+    value.forEach((entry, idx) => {
+      if (typeof entry !== 'string' || !entry.trim()) {
+        errors.push(`"${field}[${idx}]" must be a non-empty string`);
+      }
+    });
+  }
+
+  const hasInterests = Boolean(building) ||
+    Object.keys(LIST_SECTIONS).some(field => field !== 'exclude' && definition[field]?.length > 0);
+  if (requireInterests && errors.length === 0 && !hasInterests) {
+    errors.push(`Profile describes no interests: set "building" or one of ${Object.keys(LIST_SECTIONS).filter(f => f !== 'exclude').join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid context profile:\n  - ${errors.join('\n  - ')}`);
+  }
+  return definition;
+}
+
+/**
+ * Convert a profile definition to the markdown context form
+ *
+ * @param {ProfileDefinition} definition - Profile (validated first)
+ * @param {Object} options - Validation options (see validateProfile)
+ * @returns {string} Markdown context document
+ */
+export function profileToMarkdown(definition, options = {}) {
+  validateProfile(definition, options);
+  const blocks = [];
+
+  if (definition.name) {
+    blocks.push(`# ${definition.name}`);
+  }
+
+  const { building } = definition;
+  if (building) {
+    const text = typeof building === 'string'
+      ? building
+      : (building.name ? `**${building.name}** — ${building.description}` : building.description);
+    blocks.push(`## What I'm Building\n${text}`);
+  }
+
+  for (const [field, heading] of Object.entries(LIST_SECTIONS)) {
+    const entries = definition[field];
+    if (!entries?.length) continue;
+    blocks.push(`## ${heading}\n${entries.map(entry => `- ${entry.trim()}`).join('\n')}`);
+  }
+
+  return blocks.join('\n\n') + '\n';
+}
+
+// `---` fenced block at the very top of a document
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Parse a scalar or a flow list ([a, b]) from the front-matter subset
+ */
+function parseYamlValue(raw) {
+  const value = raw.trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(parseYamlValue) : [];
+  }
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    return value.slice(1, -1);
+  }
+  if (value === 'null' || value === '~') return null;
+  return value;
+}
+
+/**
+ * Drop a trailing `# comment` from an unquoted value
+ */
+function stripComment(raw) {
+  return /^\s*["']/.test(raw) ? raw : raw.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parse YAML front matter (a subset: `key: value`, block lists and one level of nested keys)
+ */
+function parseYaml(source, firstLine) {
+  const data = {};
+  let blockKey = null;
+
+  source.split(/\r?\n/).forEach((line, idx) => {
+    const lineNumber = firstLine + idx;
+    if (!line.trim() || /^\s*#/.test(line)) return;
+
+    if (!/^\s/.test(line)) {
+      const entry = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+      if (!entry) {
+        throw new Error(`Invalid front matter (line ${lineNumber}): expected "key: value", got "${line.trim()}"`);
+      }
+      const value = stripComment(entry[2] || '');
+      data[entry[1]] = value.trim() ? parseYamlValue(value) : null;
+      blockKey = value.trim() ? null : entry[1];
+      return;
+    }
+
+    if (!blockKey) {
+      throw new Error(`Invalid front matter (line ${lineNumber}): indented line without a parent key`);
+    }
+
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    const mapEntry = line.match(/^\s+([A-Za-z_][\w-]*)\s*:\s+(.*)$/);
+    if (listItem) {
+      if (data[blockKey] === null) data[blockKey] = [];
+      if (!Array.isArray(data[blockKey])) {
+        throw new Error(`Invalid front matter (line ${lineNumber}): "${blockKey}" mixes list items and keys`);
+      }
+      data[blockKey].push(parseYamlValue(stripComment(listItem[1])));
+    } else if (mapEntry) {
+      if (data[blockKey] === null) data[blockKey] = {};
+      if (Array.isArray(data[blockKey])) {
+        throw new Error(`Invalid front matter (line ${lineNumber}): "${blockKey}" mixes list items and keys`);
+      }
+      data[blockKey][mapEntry[1]] = parseYamlValue(stripComment(mapEntry[2]));
+    } else {
+      throw new Error(`Invalid front matter (line ${lineNumber}): unsupported syntax "${line.trim()}"`);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Split YAML front matter (between `---` lines at the top) from a markdown document
+ *
+ * @param {string} markdown - Markdown, optionally starting with front matter
+ * @returns {{data: ProfileDefinition|null, body: string}} Parsed front matter (null when absent) and the remaining markdown
+ */
+export function parseFrontMatter(markdown) {
+  const match = markdown.match(FRONT_MATTER_PATTERN);
+  if (!match) return { data: null, body: markdown };
+
+  return {
+    data: parseYaml(match[1], 2),
+    body: markdown.slice(match[0].length)
+  };
+}
+
+/**
+ * Split a profile written as front matter from a markdown context
+ *
+ * - Front matter with profile fields: parsed (syntax errors are thrown)
+ * - Other front matter (title, date, tags): dropped from the body
+ * - A leading `---` block that isn't YAML (a horizontal rule): left in place
+ *
+ * @param {string} markdown - Markdown, optionally starting with front matter
+ * @returns {{profile: ProfileDefinition|null, body: string}} Profile front matter (null when there is none) and the markdown to parse
+ */
+export function splitProfileFrontMatter(markdown) {
+  const match = markdown.match(FRONT_MATTER_PATTERN);
+  if (!match) return { profile: null, body: markdown };
+
+  const body = markdown.slice(match[0].length);
+  let data;
+  try {
+    data = parseYaml(match[1], 2);
+  } catch (error) {
+    const keys = [...match[1].matchAll(/^([A-Za-z_][\w-]*)\s*:/gm)].map(key => key[1]);
+    if (isProfileKeys(keys)) throw error;
+    return { profile: null, body: markdown };
+  }
+
+  return { profile: isProfileKeys(Object.keys(data)) ? data : null, body };
+}
+
+export default {
+  PROFILE_FIELDS,
+  validateProfile,
+  profileToMarkdown,
+  parseFrontMatter
+};
@@ -0,0 +1,622 @@
+/**
+ * Embedding Providers
+ * Pluggable backends that turn text into vectors
+ *
+ * EmbeddingContext handles caching, chunking and scoring; a provider only
+ * embeds batches of (already chunked) text. Swap providers to change models
+ * without forking the library.
+ *
+ * - TransformersProvider: local @xenova/transformers pipeline (default)
+ * - OpenAIEmbeddingProvider: any OpenAI-compatible `/embeddings` HTTP endpoint
+ * - PrecomputedEmbeddingProvider: vectors supplied up front
+ */
+
+import { pipeline, env } from '@xenova/transformers';
+import { getModelProfile } from './models.js';
+import { throwIfAborted } from './abort.js';
+
+// Configure transformers.js (remote hub only, unless a provider opts into local files)
+env.allowLocalModels = false;
+
+// Defaults restored for providers that don't set their own paths
+const DEFAULT_MODEL_SOURCE = { localModelPath: env.localModelPath, cacheDir: env.cacheDir };
+
+// The model source lives in the global transformers.js env, so loads run one at a time
+let modelSourceLock = Promise.resolve();
+
+// Detect environment (a Web Worker has no window but is still a browser)
+const isBrowser = typeof window !== 'undefined' || typeof WorkerGlobalScope !== 'undefined';
+
+// Model - all-MiniLM-L6-v2 is small (~23MB) and fast
+export const MODEL_NAME = 'Xenova/all-MiniLM-L6-v2';
+
+// Shared pipelines keyed by model + load options (safe to share across requests - stateless)
+// Entries hold the load promise, so concurrent init() calls for the same model load it once,
+// and the number of providers using it, so dispose() only frees it after the last one.
+const pipelineRegistry = new Map();
+
+// Files the feature-extraction pipeline needs to load a model from disk
+const REQUIRED_MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json'];
+
+// HTTP provider defaults
+const DEFAULT_HTTP_TIMEOUT_MS = 30000;
+
+// Input limit of OpenAI's hosted embedding models (text-embedding-3-*, ada-002)
+const OPENAI_MODEL_PATTERN = /^text-embedding-/;
+const OPENAI_MAX_TOKENS = 8191;
+
+/**
+ * Embedding provider interface
+ * Implement this interface to use custom embedding backends
+ *
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} modelId - Identifier of the model producing the vectors (used in cache keys)
+ * @property {number|null} dimensions - Vector length (may be null until the first embedding)
+ * @property {function(string): Promise<Float32Array>} embed - Embed one text
+ * @property {function(string[], Object=): Promise<Float32Array[]>} embedBatch - Embed many texts, in input order
+ *   (options: { signal } - reject with AbortError once the signal aborts)
+ * @property {function(Object): Promise<void>} [init] - Optional: Load resources ({ onProgress })
+ * @property {function(): Object} [getSettings] - Optional: Settings that change the output vector (for cache keys)
+ * @property {function(string): Promise<number>} [countTokens] - Optional: Token count (without special tokens) used
+ *   to chunk long text; estimated from length when absent
+ * @property {function(): Promise<void>} [dispose] - Optional: Free loaded resources
+ * @property {function(): Promise<void>} [cancel] - Optional: Abort in-flight work
+ */
+
+/**
+ * L2-normalize a vector in place
+ */
+function normalizeVector(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector;
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Local embeddings via the @xenova/transformers feature-extraction pipeline
+ *
+ * @implements {EmbeddingProvider}
+ */
+export class TransformersProvider {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.modelName - Model ID (default: 'Xenova/all-MiniLM-L6-v2')
+   * @param {boolean} options.quantized - Load the quantized ONNX weights (default: true)
+   * @param {Object} options.modelProfile - Overrides for the model profile (pooling, normalize, ...)
+   * @param {string} options.localModelPath - Directory holding model folders (`<path>/<modelName>/`)
+   * @param {string} options.cacheDir - Directory for downloaded model files (Node.js)
+   * @param {boolean} options.allowRemoteModels - Fetch from the Hugging Face hub when missing locally (default: true)
+   */
+  constructor(options = {}) {
+    this.modelId = options.modelName || MODEL_NAME;
+    this.quantized = options.quantized !== false;
+
+    const profile = getModelProfile(this.modelId, options.modelProfile);
+    this.pooling = profile.pooling;
+    this.normalize = profile.normalize;
+    this.localModelPath = options.localModelPath || null;
+    this.cacheDir = options.cacheDir || null;
+    this.allowRemoteModels = options.allowRemoteModels !== false;
+    this.dimensions = null;
+    this._pipelineEntry = null;
+  }
+
+  /**
+   * Options that select this provider's pipeline in the registry
+   */
+  get loadOptions() {
+    return {
+      quantized: this.quantized,
+      localModelPath: this.localModelPath,
+      cacheDir: this.cacheDir,
+      allowRemoteModels: this.allowRemoteModels
+    };
+  }
+
+  /**
+   * Registry key for this provider's pipeline
+   */
+  get pipelineKey() {
+    return getPipelineKey(this.modelId, this.loadOptions);
+  }
+
+  /**
+   * Initialize the shared pipeline for this model (loaded once per model + options)
+   * @param {Object} options - Init options
+   * @param {Function} options.onProgress - Progress callback for model download
+   */
+  async init(options = {}) {
+    const key = this.pipelineKey;
+    let entry = pipelineRegistry.get(key);
+    if (!entry) {
+      entry = { loading: withModelSourceLock(() => this._loadPipeline(options)), users: 0 };
+      pipelineRegistry.set(key, entry);
+      // Let a failed load be retried
+      const failed = entry;
+      entry.loading.catch(() => {
+        if (pipelineRegistry.get(key) === failed) pipelineRegistry.delete(key);
+      });
+    }
+    // Count each provider once (embedBatch calls init too)
+    if (this._pipelineEntry !== entry) {
+      entry.users++;
+      this._pipelineEntry = entry;
+    }
+    return entry.loading;
+  }
+
+  /**
+   * Internal: load the feature-extraction pipeline
+   */
+  async _loadPipeline(options = {}) {
+    const { onProgress } = options;
+
+    this._configureModelSource();
+    if (!this.allowRemoteModels && !isBrowser) {
+      await this._assertModelFilesPresent();
+    }
+
+    if (!isBrowser) {
+      console.log(`Loading embedding model ${this.modelId}...`);
+    }
+    const startTime = Date.now();
+
+    let loaded;
+    try {
+      loaded = await pipeline('feature-extraction', this.modelId, {
+        quantized: this.quantized,
+        progress_callback: onProgress
+      });
+    } catch (error) {
+      if (this.allowRemoteModels) throw error;
+      throw new Error(
+        `Failed to load model "${this.modelId}" with remote downloads disabled: ${error.message}`
+      );
+    }
+
+    if (!isBrowser) {
+      console.log(`Model loaded in ${Date.now() - startTime}ms`);
+    }
+    return loaded;
+  }
+
+  /**
+   * Release this provider's shared pipeline
+   * The pipeline is freed once no other provider is using it.
+   */
+  async dispose() {
+    const entry = this._pipelineEntry;
+    if (!entry) return;
+    this._pipelineEntry = null;
+
+    entry.users--;
+    if (entry.users > 0) return;
+
+    const key = this.pipelineKey;
+    if (pipelineRegistry.get(key) === entry) pipelineRegistry.delete(key);
+    await freePipeline(entry.loading);
+  }
+
+  /**
+   * Internal: point transformers.js at local model files and the download cache
+   */
+  _configureModelSource() {
+    // Reset what an earlier provider set, so its paths don't leak into this load
+    env.localModelPath = this.localModelPath || DEFAULT_MODEL_SOURCE.localModelPath;
+    env.cacheDir = this.cacheDir || DEFAULT_MODEL_SOURCE.cacheDir;
+    env.allowLocalModels = Boolean(this.localModelPath) || !this.allowRemoteModels;
+    env.allowRemoteModels = this.allowRemoteModels;
+  }
+
+  /**
+   * Internal: fail early (Node.js only) when an offline model is incomplete
+   * Looks in the local model path first, then the download cache.
+   */
+  async _assertModelFilesPresent() {
+    const fs = await import('fs/promises');
+    const path = await import('path');
+
+    const modelFile = this.quantized ? 'onnx/model_quantized.onnx' : 'onnx/model.onnx';
+    const requiredFiles = [...REQUIRED_MODEL_FILES, modelFile];
+    const searchDirs = [env.localModelPath, env.cacheDir]
+      .filter(Boolean)
+      .map(dir => path.join(dir, this.modelId));
+
+    let closestMissing = requiredFiles;
+    for (const dir of searchDirs) {
+      const missing = [];
+      for (const file of requiredFiles) {
+        try {
+          await fs.access(path.join(dir, file));
+        } catch (error) {
+          missing.push(file);
+        }
+      }
+      if (missing.length === 0) return;
+      if (missing.length < closestMissing.length) closestMissing = missing;
+    }
+
+    throw new Error(
+      `Model "${this.modelId}" is not available offline. ` +
+      `Missing files: ${closestMissing.join(', ')}. ` +
+      `Searched: ${searchDirs.join(', ') || '(no localModelPath or cacheDir set)'}`
+    );
+  }
+
+  getSettings() {
+    return { quantized: this.quantized, pooling: this.pooling, normalize: this.normalize };
+  }
+
+  /**
+   * Count tokens with the model's own tokenizer (special tokens excluded)
+   */
+  async countTokens(text) {
+    const extractor = await this.init();
+    return extractor.tokenizer.encode(text, null, { add_special_tokens: false }).length;
+  }
+
+  async embed(text, options = {}) {
+    const [embedding] = await this.embedBatch([text], options);
+    return embedding;
+  }
+
+  /**
+   * Run one padded forward pass and split the pooled output per text
+   * Mean pooling uses the attention mask and CLS pooling reads the first token,
+   * so padding does not affect results. A running forward pass can't be
+   * interrupted; the signal is checked before it starts.
+   */
+  async embedBatch(texts, options = {}) {
+    const extractor = await this.init();
+    throwIfAborted(options.signal);
+
+    const output = await extractor(texts, {
+      pooling: this.pooling,
+      normalize: this.normalize
+    });
+    const dim = output.dims[output.dims.length - 1];
+    this.dimensions = dim;
+    return texts.map((_, i) => output.data.slice(i * dim, (i + 1) * dim));
+  }
+}
+
+/**
+ * Embeddings from an OpenAI-compatible `/embeddings` endpoint
+ * Works with OpenAI, Azure-style proxies, Ollama, vLLM, LM Studio, text-embeddings-inference, etc.
+ *
+ * @example
+ * const provider = new OpenAIEmbeddingProvider({
+ *   baseUrl: 'http://localhost:11434/v1',
+ *   model: 'nomic-embed-text'
+ * });
+ * const signals = await filterItems(items, context, { provider });
+ *
+ * @implements {EmbeddingProvider}
+ */
+export class OpenAIEmbeddingProvider {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.model - Model name sent in the request body
+   * @param {string} options.baseUrl - API base URL (default: 'https://api.openai.com/v1')
+   * @param {string} options.apiKey - Bearer token (optional for local servers)
+   * @param {number} options.dimensions - Requested vector length (optional, model-dependent)
+   * @param {Object} options.headers - Extra request headers
+   * @param {boolean} options.normalize - L2-normalize returned vectors (default: true)
+   * @param {number} options.timeoutMs - Request timeout in milliseconds (default: 30000)
+   * @param {number} options.maxTokens - Model input limit, sizes long-text chunks (default: 8191 for OpenAI's text-embedding-* models, else the model profile's)
+   * @param {function(string): number|Promise<number>} options.countTokens - Token counter for the model, e.g. tiktoken (default: estimated from length)
+   */
+  constructor(options = {}) {
+    if (!options.model) {
+      throw new Error('OpenAIEmbeddingProvider requires a model name');
+    }
+    if (options.maxTokens !== undefined && !(Number.isFinite(options.maxTokens) && options.maxTokens > 0)) {
+      throw new Error(`OpenAIEmbeddingProvider maxTokens must be a positive number, got ${options.maxTokens}`);
+    }
+
+    this.model = options.model;
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.requestedDimensions = options.dimensions || null;
+    this.headers = options.headers || {};
+    this.normalize = options.normalize !== false;
+    this.timeoutMs = options.timeoutMs || DEFAULT_HTTP_TIMEOUT_MS;
+    this.modelId = `${this.baseUrl}#${this.model}`;
+    this.dimensions = this.requestedDimensions;
+    this.maxTokens = options.maxTokens || (OPENAI_MODEL_PATTERN.test(this.model) ? OPENAI_MAX_TOKENS : null);
+    if (options.countTokens) {
+      this.countTokens = async text => options.countTokens(text);
+    }
+  }
+
+  getSettings() {
+    return { dimensions: this.requestedDimensions, normalize: this.normalize };
+  }
+
+  async embed(text, options = {}) {
+    const [embedding] = await this.embedBatch([text], options);
+    return embedding;
+  }
+
+  async embedBatch(texts, options = {}) {
+    const { signal } = options;
+    if (texts.length === 0) return [];
+    throwIfAborted(signal);
+
+    const body = { model: this.model, input: texts };
+    if (this.requestedDimensions) {
+      body.dimensions = this.requestedDimensions;
+    }
+
+    let response;
+    try {
+      response = await fetchWithTimeout(`${this.baseUrl}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+          ...this.headers
+        },
+        body: JSON.stringify(body),
+        signal
+      }, this.timeoutMs);
+    } catch (error) {
+      throwIfAborted(signal);
+      throw error;
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Embedding API error: HTTP ${response.status}${detail ? ` - ${detail.slice(0, 200)}` : ''}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+      throw new Error(`Embedding API returned ${data.data?.length ?? 0} vectors for ${texts.length} inputs`);
+    }
+
+    const embeddings = [...data.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(entry => {
+        const vector = Float32Array.from(entry.embedding);
+        return this.normalize ? normalizeVector(vector) : vector;
+      });
+
+    this.dimensions = embeddings[0].length;
+    return embeddings;
+  }
+}
+
+/**
+ * Embeddings supplied up front (e.g. computed offline or by another service)
+ *
+ * The library also embeds its own texts (context, context points, prototypes),
+ * so those need vectors too, or a fallback running the same model.
+ *
+ * @example
+ * const provider = new PrecomputedEmbeddingProvider({
+ *   modelId: 'Xenova/all-MiniLM-L6-v2',
+ *   vectors: { 'Some item title': [0.12, -0.03, ...] },
+ *   fallback: new TransformersProvider({ modelName: 'Xenova/all-MiniLM-L6-v2' })   // optional, same model
+ * });
+ *
+ * @implements {EmbeddingProvider}
+ */
+export class PrecomputedEmbeddingProvider {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.modelId - Identifier of the model that produced the vectors
+   * @param {Map<string, ArrayLike<number>>|Object} options.vectors - Text -> vector lookup
+   * @param {EmbeddingProvider} options.fallback - Provider for texts without a vector; must have the same modelId (optional)
+   * @param {boolean} options.normalize - L2-normalize vectors (default: true)
+   */
+  constructor(options = {}) {
+    if (!options.modelId) {
+      throw new Error('PrecomputedEmbeddingProvider requires a modelId');
+    }
+
+    // Vectors from another model live in a different space: scores would be meaningless
+    if (options.fallback && options.fallback.modelId !== options.modelId) {
+      throw new Error(
+        `PrecomputedEmbeddingProvider fallback must use the same model: expected "${options.modelId}", got "${options.fallback.modelId}"`
+      );
+    }
+
+    this.modelId = options.modelId;
+    this.vectors = options.vectors instanceof Map
+      ? options.vectors
+      : new Map(Object.entries(options.vectors || {}));
+    this.fallback = options.fallback || null;
+    this.normalize = options.normalize !== false;
+    this.dimensions = null;
+
+    this.vectors.forEach((vector, text) => this._checkDimensions(vector, text));
+  }
+
+  /**
+   * Internal: every vector must have the same length (the first one seen sets it)
+   */
+  _checkDimensions(vector, text) {
+    if (!this.dimensions) {
+      this.dimensions = vector.length;
+    } else if (vector.length !== this.dimensions) {
+      throw new Error(
+        `Embedding for "${text.slice(0, 60)}" has ${vector.length} dimensions, expected ${this.dimensions}`
+      );
+    }
+  }
+
+  /**
+   * Add or replace a vector
+   * @param {string} text - Text the vector belongs to
+   * @param {ArrayLike<number>} vector - Embedding
+   */
+  set(text, vector) {
+    this._checkDimensions(vector, text);
+    this.vectors.set(text, vector);
+  }
+
+  async init(options = {}) {
+    if (this.fallback?.init) {
+      await this.fallback.init(options);
+    }
+  }
+
+  getSettings() {
+    return { normalize: this.normalize, fallback: this.fallback?.modelId || null };
+  }
+
+  /**
+   * Vectors are looked up by whole text, so never split texts into chunks
+   */
+  async countTokens() {
+    return 1;
+  }
+
+  async embed(text, options = {}) {
+    const [embedding] = await this.embedBatch([text], options);
+    return embedding;
+  }
+
+  async embedBatch(texts, options = {}) {
+    const results = new Array(texts.length);
+    const missing = [];
+
+    texts.forEach((text, idx) => {
+      const vector = this.vectors.get(text);
+      if (vector) {
+        const copy = Float32Array.from(vector);
+        results[idx] = this.normalize ? normalizeVector(copy) : copy;
+      } else {
+        missing.push(idx);
+      }
+    });
+
+    if (missing.length > 0) {
+      if (!this.fallback) {
+        const sample = texts[missing[0]].slice(0, 60);
+        throw new Error(`No precomputed embedding for ${missing.length} text(s), e.g. "${sample}"`);
+      }
+      const computed = await this.fallback.embedBatch(missing.map(idx => texts[idx]), options);
+      missing.forEach((idx, j) => {
+        this._checkDimensions(computed[j], texts[idx]);
+        results[idx] = computed[j];
+      });
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Run a model load once earlier loads have finished with the global env
+ */
+async function withModelSourceLock(load) {
+  const previous = modelSourceLock;
+  let release;
+  modelSourceLock = new Promise(resolve => { release = resolve; });
+  await previous;
+  try {
+    return await load();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Registry key for a transformers.js pipeline
+ * Providers loading from different local paths or caches, or online vs offline, get separate pipelines.
+ */
+function getPipelineKey(modelName, options = {}) {
+  const { quantized = true, localModelPath = null, cacheDir = null, allowRemoteModels = true } = options;
+  return [
+    modelName,
+    quantized === false ? 'fp32' : 'quantized',
+    localModelPath || '',
+    cacheDir || '',
+    allowRemoteModels === false ? 'offline' : 'remote'
+  ].join('|');
+}
+
+/**
+ * Check if a transformers.js pipeline is loaded (or loading)
+ * @param {string} modelName - Model ID to check (default: any model)
+ * @param {Object} options - Load options ({ quantized, localModelPath, cacheDir, allowRemoteModels }, default: quantized, remote)
+ * @returns {boolean}
+ */
+export function isInitialized(modelName = null, options = {}) {
+  if (!modelName) return pipelineRegistry.size > 0;
+  return pipelineRegistry.has(getPipelineKey(modelName, options));
+}
+
+/**
+ * Free a loaded (or loading) pipeline
+ */
+async function freePipeline(loading) {
+  try {
+    const loaded = await loading;
+    await loaded.dispose?.();
+  } catch (error) {
+    // Load failed; nothing to free
+  }
+}
+
+/**
+ * Free a shared transformers.js pipeline, even while providers still use it
+ * They reload it on their next call. Prefer disposing the EmbeddingContext.
+ * @param {string} modelName - Model ID
+ * @param {Object} options - Load options ({ quantized, localModelPath, cacheDir, allowRemoteModels }, default: quantized, remote)
+ */
+export async function disposePipeline(modelName, options = {}) {
+  const key = getPipelineKey(modelName, options);
+  const entry = pipelineRegistry.get(key);
+  if (!entry) return;
+
+  pipelineRegistry.delete(key);
+  await freePipeline(entry.loading);
+}
+
+/**
+ * Free every shared transformers.js pipeline
+ */
+export async function disposeAllPipelines() {
+  const entries = Array.from(pipelineRegistry.values());
+  pipelineRegistry.clear();
+  await Promise.all(entries.map(entry => freePipeline(entry.loading)));
+}
+
+/**
+ * Fetch with timeout support
+ * `options.signal` (the caller's signal) also aborts the request.
+ */
+async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
+  const { signal, ...fetchOptions } = options;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+export default {
+  TransformersProvider,
+  OpenAIEmbeddingProvider,
+  PrecomputedEmbeddingProvider,
+  isInitialized,
+  disposePipeline,
+  disposeAllPipelines
+};
@@ -0,0 +1,355 @@
+/**
+ * Keyword Rules
+ * Hard include/exclude, forced signal types and score boosts from boolean expressions
+ *
+ * Keywords in userKeywords only nudge classification. Rules decide: an
+ * expression such as `("rust" OR "zig") AND NOT "job"` is matched with the
+ * same whole-word keyword matcher classification uses, optionally scoped to a
+ * field (`title:`, `source:`, `metadata.language:`).
+ *
+ * include/exclude rules run before semantic scoring (excluded items are never
+ * embedded); type/boost rules, and exclude rules with `stage: 'after'`, run on
+ * the classified signal.
+ *
+ * @example
+ * const rules = [
+ *   { when: '("rust" OR "zig") AND NOT "job"', action: 'include' },
+ *   { when: 'source:reddit AND title:"hiring"', action: 'exclude' },
+ *   { when: 'metadata.language:rust', action: 'type', type: 'technical' },
+ *   { when: '"webgpu"', action: 'boost', boost: 15 }
+ * ];
+ */
+
+export const RULE_ACTIONS = ['include', 'exclude', 'type', 'boost'];
+export const RULE_STAGES = ['before', 'after'];
+
+// Stage each action runs in (exclude may also run after scoring)
+const ACTION_STAGES = {
+  include: ['before'],
+  exclude: ['before', 'after'],
+  type: ['after'],
+  boost: ['after']
+};
+
+// Fields a term can be scoped to (plus any metadata.<key>)
+const RULE_FIELDS = ['title', 'description', 'source', 'url', 'author', 'id', 'type'];
+
+// Fields only known once an item has been classified
+const AFTER_FIELDS = new Set(['type']);
+
+// Where scoped fields live when they aren't plain item properties
+const FIELD_PATHS = {
+  type: 'filter_result.signal_type'
+};
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+/**
+ * Escape special regex characters in a string
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string safe for use in RegExp
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether text contains a keyword as a whole word or phrase (case-insensitive)
+ * Keywords with punctuation ("c++", "gpt-4") match when not inside a longer word.
+ *
+ * @param {string} text - Text to search
+ * @param {string} keyword - Keyword or phrase
+ * @returns {boolean}
+ */
+export function hasKeyword(text, keyword) {
+  const keywordLower = keyword.toLowerCase();
+  const isAlphanumericOnly = /^[a-z0-9]+$/i.test(keyword);
+
+  if (isAlphanumericOnly) {
+    // Escape regex special characters for safety
+    const escaped = escapeRegExp(keywordLower);
+    const regex = new RegExp(`\\b${escaped}\\b`, 'i');
+    return regex.test(text);
+  }
+
+  const idx = text.toLowerCase().indexOf(keywordLower);
+  if (idx === -1) return false;
+
+  const beforeOk = idx === 0 || !/[a-z0-9]/i.test(text[idx - 1]);
+  const afterIdx = idx + keyword.length;
+  const afterOk = afterIdx >= text.length || !/[a-z0-9]/i.test(text[afterIdx]);
+
+  return beforeOk && afterOk;
+}
+
+/**
+ * Split an expression into parens, operators and (optionally scoped) terms
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|(?:([A-Za-z_][\w.]*):)?(?:"([^"]*)"|([^\s()"]+)))/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (!expression.slice(position).trim()) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      const offset = position + (expression.slice(position).length - expression.slice(position).trimStart().length);
+      throw new Error(expression[offset] === '"'
+        ? `unterminated quote at position ${offset}`
+        : `unexpected "${expression[offset]}" at position ${offset}`);
+    }
+    const [, open, close, field, quoted, bare] = match;
+    position = pattern.lastIndex;
+
+    if (open) tokens.push({ kind: '(' });
+    else if (close) tokens.push({ kind: ')' });
+    else if (!field && bare !== undefined && OPERATORS.has(bare)) tokens.push({ kind: bare });
+    else {
+      const value = quoted ?? bare;
+      if (!value.trim()) throw new Error('empty quoted term');
+      tokens.push({ kind: 'term', field: field || null, value });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser: OR binds loosest, then AND (explicit or implied), then NOT
+ */
+function parseTokens(tokens) {
+  let idx = 0;
+  const peek = () => tokens[idx];
+  const describe = (token) => (token ? (token.kind === 'term' ? `"${token.value}"` : token.kind) : 'end of expression');
+
+  const parseUnary = () => {
+    const token = tokens[idx++];
+    if (!token) throw new Error('expression ends where a term was expected');
+    if (token.kind === 'NOT') return { op: 'not', operand: parseUnary() };
+    if (token.kind === 'term') return { op: 'term', field: token.field, value: token.value };
+    if (token.kind === '(') {
+      const node = parseOr();
+      if (peek()?.kind !== ')') throw new Error(`expected ")" but found ${describe(peek())}`);
+      idx++;
+      return node;
+    }
+    throw new Error(`unexpected ${describe(token)}`);
+  };
+
+  const parseAnd = () => {
+    const operands = [parseUnary()];
+    while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+      if (peek().kind === 'AND') idx++;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { op: 'and', operands };
+  };
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (peek()?.kind === 'OR') {
+      idx++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { op: 'or', operands };
+  };
+
+  const tree = parseOr();
+  if (idx < tokens.length) throw new Error(`unexpected ${describe(peek())}`);
+  return tree;
+}
+
+/**
+ * Fields a parsed expression refers to
+ */
+function collectFields(node, fields = new Set()) {
+  if (node.op === 'term') {
+    if (node.field) fields.add(node.field);
+  } else if (node.op === 'not') {
+    collectFields(node.operand, fields);
+  } else {
+    node.operands.forEach(operand => collectFields(operand, fields));
+  }
+  return fields;
+}
+
+/**
+ * Parse a boolean keyword expression
+ *
+ * Terms are bare words or "quoted phrases", optionally scoped with `field:`.
+ * Operators are uppercase AND, OR and NOT; adjacent terms are ANDed.
+ *
+ * @param {string} expression - Expression, e.g. '("rust" OR "zig") AND NOT title:"job"'
+ * @returns {Object} Expression tree for matchesExpression
+ */
+export function parseRuleExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Rule expression must be a non-empty string');
+  }
+
+  let tree;
+  try {
+    tree = parseTokens(tokenize(expression));
+  } catch (error) {
+    throw new Error(`Invalid rule expression "${expression}": ${error.message}`);
+  }
+
+  for (const field of collectFields(tree)) {
+    if (!RULE_FIELDS.includes(field) && !/^metadata\.\w+/.test(field)) {
+      throw new Error(`Unknown field "${field}" in rule expression "${expression}". Expected one of: ${RULE_FIELDS.join(', ')}, or metadata.<key>`);
+    }
+  }
+  return tree;
+}
+
+/**
+ * Value of a (dotted) field on an item
+ */
+function getFieldValue(item, field) {
+  const path = FIELD_PATHS[field] || field;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+/**
+ * Whether an item matches a parsed expression
+ * Unscoped terms search the title and description.
+ *
+ * @param {Object} tree - Result of parseRuleExpression
+ * @param {Object} item - Item or signal
+ * @returns {boolean}
+ */
+export function matchesExpression(tree, item) {
+  switch (tree.op) {
+    case 'and':
+      return tree.operands.every(operand => matchesExpression(operand, item));
+    case 'or':
+      return tree.operands.some(operand => matchesExpression(operand, item));
+    case 'not':
+      return !matchesExpression(tree.operand, item);
+    default: {
+      if (!tree.field) {
+        return hasKeyword(`${item.title || ''} ${item.description || ''}`, tree.value);
+      }
+      const value = getFieldValue(item, tree.field);
+      if (value == null) return false;
+      const values = Array.isArray(value) ? value : [value];
+      return values.some(entry => entry != null && hasKeyword(String(entry), tree.value));
+    }
+  }
+}
+
+/**
+ * Compiled keyword rules
+ *
+ * include/exclude: the first matching before-scoring rule decides.
+ * type: the first matching rule sets the signal type. boost: every matching rule adds up.
+ *
+ * @example
+ * const ruleSet = new RuleSet([{ when: 'source:reddit AND "hiring"', action: 'exclude' }]);
+ * ruleSet.matchBefore(item); // { rule: 'source:reddit AND "hiring"', action: 'exclude' }
+ */
+export class RuleSet {
+  /**
+   * @param {Object[]} rules - Rules ({ when, action, type, boost, stage, name })
+   * @param {Object} options - Configuration options
+   * @param {string[]} options.types - Signal types `type` rules may force (default: any)
+   */
+  constructor(rules = [], options = {}) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Rules must be an array of { when, action } objects');
+    }
+    const types = options.types || null;
+
+    this.rules = rules.map((rule, idx) => {
+      const label = rule?.name || rule?.when || `#${idx + 1}`;
+      const fail = (message) => { throw new Error(`Invalid rule "${label}": ${message}`); };
+
+      if (!rule || typeof rule !== 'object') fail('expected an object with `when` and `action`');
+      if (!RULE_ACTIONS.includes(rule.action)) {
+        fail(`unknown action "${rule.action}". Expected one of: ${RULE_ACTIONS.join(', ')}`);
+      }
+      const stage = rule.stage || ACTION_STAGES[rule.action][0];
+      if (!RULE_STAGES.includes(stage)) {
+        fail(`unknown stage "${stage}". Expected one of: ${RULE_STAGES.join(', ')}`);
+      }
+      if (!ACTION_STAGES[rule.action].includes(stage)) {
+        fail(`"${rule.action}" rules can't run ${stage} scoring`);
+      }
+      if (rule.action === 'type' && (typeof rule.type !== 'string' || (types && !types.includes(rule.type)))) {
+        fail(types ? `"type" must be one of: ${types.join(', ')}` : '"type" must be a signal type');
+      }
+      if (rule.action === 'boost' && !Number.isFinite(rule.boost)) {
+        fail('"boost" must be a number (score points, may be negative)');
+      }
+
+      const tree = parseRuleExpression(rule.when);
+      if (stage === 'before') {
+        const afterField = [...collectFields(tree)].find(field => AFTER_FIELDS.has(field));
+        if (afterField) fail(`"${afterField}:" is only known after scoring (use stage: 'after')`);
+      }
+
+      return { ...rule, label, stage, tree };
+    });
+  }
+
+  /**
+   * First include/exclude rule matching an item before scoring
+   * @param {Object} item - Item
+   * @returns {{rule: string, action: string}|null}
+   */
+  matchBefore(item) {
+    const rule = this.rules.find(r => r.stage === 'before' && matchesExpression(r.tree, item));
+    return rule ? { rule: rule.label, action: rule.action } : null;
+  }
+
+  /**
+   * Apply after-scoring rules to a classified signal
+   * @param {Object} signal - Signal with filter_result
+   * @returns {{signal: Object, excluded: {rule: string, action: string}|null}}
+   *   The updated signal, or the exclude rule that dropped it
+   */
+  applyAfter(signal) {
+    const applied = [];
+    let forcedType = null;
+    let boost = 0;
+
+    for (const rule of this.rules) {
+      if (rule.stage !== 'after' || !matchesExpression(rule.tree, signal)) continue;
+      if (rule.action === 'exclude') {
+        return { signal, excluded: { rule: rule.label, action: 'exclude' } };
+      }
+      if (rule.action === 'type') {
+        if (forcedType) continue;
+        forcedType = rule.type;
+      } else {
+        boost += rule.boost;
+      }
+      applied.push({ rule: rule.label, action: rule.action });
+    }
+    if (applied.length === 0) return { signal, excluded: null };
+
+    const result = { ...signal.filter_result, rules: [...(signal.filter_result.rules || []), ...applied] };
+    if (forcedType) {
+      result.signal_type = forcedType;
+      result.signal_types = [
+        { type: forcedType, score: 1, keywords: [] },
+        ...(result.signal_types || []).filter(entry => entry.type !== forcedType)
+      ];
+    }
+    if (boost) {
+      result.score_boost = (result.score_boost || 0) + boost;
+    }
+
+    return { signal: { ...signal, filter_result: result }, excluded: null };
+  }
+}
+
+export default {
+  RULE_ACTIONS,
+  hasKeyword,
+  parseRuleExpression,
+  matchesExpression,
+  RuleSet
+};
@@ -98,11 +98,20 @@ function getBaseline(source, customBaselines = {}) {
 
 /**
  * Calculate engagement score normalized against baseline
+ * For clustered items, the members' scores are summed (capped at 100).
  * @param {Object} item - The signal item
  * @param {Object} customBaselines - Custom engagement baselines
  * @returns {number} Score 0-100
  */
 export function calculateEngagementScore(item, customBaselines = {}) {
+  // Clustered near-duplicates: engagement on each source adds up
+  if (item.cluster?.members?.length > 1) {
+    const total = item.cluster.members.reduce(
+      (sum, member) => sum + calculateEngagementScore(member, customBaselines), 0
+    );
+    return Math.min(100, total);
+  }
+
   const source = item.source;
   const meta = item.metadata || {};
   const baseline = getBaseline(source, customBaselines);
@@ -213,12 +222,14 @@ export function calculateSignalScore(item, options = {}) {
   // Engagement score
   const engagementScore = calculateEngagementScore(item, engagementBaselines);
 
-  // Composite score
-  const signalScore = Math.round(
+  // Composite score, plus any boost from keyword rules (kept within 0-100)
+  const boost = item.filter_result?.score_boost || 0;
+  const signalScore = Math.max(0, Math.min(100, Math.round(
     (relevanceScore * relevanceWeight) +
     (recencyScore * recencyWeight) +
-    (engagementScore * engagementWeight)
-  );
+    (engagementScore * engagementWeight) +
+    boost
+  )));
 
   return {
     ...item,
@@ -226,7 +237,8 @@ export function calculateSignalScore(item, options = {}) {
     scoreBreakdown: {
       relevance: Math.round(relevanceScore),
       recency: Math.round(recencyScore),
-      engagement: Math.round(engagementScore)
+      engagement: Math.round(engagementScore),
+      ...(boost && { boost })
     }
   };
 }
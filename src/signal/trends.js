@@ -0,0 +1,208 @@
+/**
+ * Trend Detection
+ * Finds groups of signals pointing the same direction
+ *
+ * A trend is several distinct items, from more than one source, about the
+ * same topic within a time window. Signals are grouped by embedding
+ * similarity (together with recent history, if kept) and a signal is a trend
+ * when its group is large and varied enough.
+ */
+
+import { cosineSimilarity } from './embeddings.js';
+import { getRelevantTimestamp } from './scoring.js';
+
+// Topic-level similarity: looser than near-duplicate clustering (0.85)
+const DEFAULT_TREND_SIMILARITY = 0.6;
+const DEFAULT_TREND_MIN_ITEMS = 3;
+const DEFAULT_TREND_MIN_SOURCES = 2;
+const DEFAULT_TREND_WINDOW_HOURS = 72;
+
+// Entries kept by TrendHistory
+const DEFAULT_HISTORY_MAX_ITEMS = 2000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Item timestamp in ms (null when unknown or unparseable)
+ */
+function getTimestampMs(item) {
+  const timestamp = getRelevantTimestamp(item);
+  if (!timestamp) return null;
+  const ms = new Date(timestamp).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Sources an item stands for (a near-duplicate cluster spans several)
+ */
+function getItemSources(item) {
+  return item.cluster?.sources || [item.source || 'unknown'];
+}
+
+/**
+ * Add an embedding to a running centroid (unnormalized sum)
+ */
+function addToCentroid(centroid, embedding) {
+  for (let i = 0; i < embedding.length; i++) {
+    centroid[i] += embedding[i];
+  }
+}
+
+/**
+ * Recent signals remembered across runs, so a trend can build up over several fetches
+ *
+ * In-memory; entries older than the window (or past maxItems) are dropped.
+ *
+ * @example
+ * const trendHistory = new TrendHistory({ windowHours: 48 });
+ * await filterItems(items, context, { detectTrends: true, trendHistory });
+ */
+export class TrendHistory {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.windowHours - How long entries are kept (default: 72)
+   * @param {number} options.maxItems - Max entries kept, newest first (default: 2000)
+   */
+  constructor(options = {}) {
+    this.windowHours = options.windowHours || DEFAULT_TREND_WINDOW_HOURS;
+    this.maxItems = options.maxItems || DEFAULT_HISTORY_MAX_ITEMS;
+    this.entries = new Map();
+  }
+
+  /**
+   * Remember signals and their embeddings
+   * @param {Object[]} items - Signals (id, source, timestamp fields)
+   * @param {Array<Float32Array|null>} embeddings - Embedding per item (null entries are skipped)
+   */
+  add(items, embeddings) {
+    items.forEach((item, idx) => {
+      if (!embeddings[idx]) return;
+      this.entries.delete(item.id);
+      this.entries.set(item.id, {
+        id: item.id,
+        sources: getItemSources(item),
+        timestamp: getTimestampMs(item) ?? Date.now(),
+        embedding: embeddings[idx]
+      });
+    });
+    this.prune();
+  }
+
+  /**
+   * Entries inside the window
+   * @param {number} now - Reference time (ms, default: now)
+   * @returns {Object[]} Entries ({ id, sources, timestamp, embedding })
+   */
+  getRecent(now = Date.now()) {
+    const cutoff = now - this.windowHours * HOUR_MS;
+    return [...this.entries.values()].filter(entry => entry.timestamp >= cutoff);
+  }
+
+  /**
+   * Drop expired entries and the oldest beyond maxItems
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.windowHours * HOUR_MS;
+    for (const [id, entry] of this.entries) {
+      if (entry.timestamp < cutoff) this.entries.delete(id);
+    }
+    // Map keeps insertion order: oldest additions first
+    for (const id of this.entries.keys()) {
+      if (this.entries.size <= this.maxItems) break;
+      this.entries.delete(id);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Detect trends among signals
+ *
+ * Items inside the time window are grouped greedily: each joins the group
+ * whose centroid it is most similar to (above `similarity`) or starts a new
+ * one. History entries take part in grouping but are never labeled.
+ *
+ * @param {Object[]} items - Signals to check
+ * @param {Array<Float32Array|null>} embeddings - Embedding per item, in input order
+ * @param {Object} options - Detection options
+ * @param {number} options.similarity - Min similarity to a group's centroid (default: 0.6)
+ * @param {number} options.minItems - Min distinct items in a trend, history included (default: 3)
+ * @param {number} options.minSources - Min distinct sources in a trend (default: 2)
+ * @param {number} options.windowHours - Only items from the last N hours count (default: 72)
+ * @param {TrendHistory} options.history - Recent signals from earlier runs
+ * @param {number} options.now - Reference time (ms, default: now)
+ * @returns {Map<string, {size: number, sources: string[], sibling_ids: string[], window_hours: number}>}
+ *   Trend info by id, for items that are part of a trend
+ */
+export function detectTrends(items, embeddings, options = {}) {
+  const {
+    similarity = DEFAULT_TREND_SIMILARITY,
+    minItems = DEFAULT_TREND_MIN_ITEMS,
+    minSources = DEFAULT_TREND_MIN_SOURCES,
+    windowHours = DEFAULT_TREND_WINDOW_HOURS,
+    history = null,
+    now = Date.now()
+  } = options;
+
+  const cutoff = now - windowHours * HOUR_MS;
+
+  // History first, so current items can join groups that started earlier
+  const currentIds = new Set();
+  const candidates = [];
+  items.forEach((item, idx) => {
+    const timestamp = getTimestampMs(item);
+    if (!embeddings[idx] || (timestamp !== null && timestamp < cutoff)) return;
+    currentIds.add(item.id);
+    candidates.push({ id: item.id, sources: getItemSources(item), embedding: embeddings[idx] });
+  });
+  const recent = (history?.getRecent(now) || []).filter(entry => !currentIds.has(entry.id) && entry.timestamp >= cutoff);
+
+  const groups = [];
+  for (const candidate of [...recent, ...candidates]) {
+    let best = null;
+    let bestSimilarity = similarity;
+
+    for (const group of groups) {
+      const score = cosineSimilarity(candidate.embedding, group.centroid);
+      if (score >= bestSimilarity) {
+        best = group;
+        bestSimilarity = score;
+      }
+    }
+
+    if (best) {
+      best.members.push(candidate);
+      addToCentroid(best.centroid, candidate.embedding);
+    } else {
+      const centroid = new Float32Array(candidate.embedding.length);
+      addToCentroid(centroid, candidate.embedding);
+      groups.push({ centroid, members: [candidate] });
+    }
+  }
+
+  const trends = new Map();
+  for (const { members } of groups) {
+    const sources = [...new Set(members.flatMap(m => m.sources))];
+    if (members.length < minItems || sources.length < minSources) continue;
+
+    for (const member of members) {
+      if (!currentIds.has(member.id)) continue;
+      trends.set(member.id, {
+        size: members.length,
+        sources,
+        sibling_ids: members.filter(m => m !== member).map(m => m.id),
+        window_hours: windowHours
+      });
+    }
+  }
+
+  return trends;
+}
+
+export default {
+  TrendHistory,
+  detectTrends
+};
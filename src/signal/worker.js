@@ -0,0 +1,336 @@
+/**
+ * Worker-backed Embeddings
+ * Offloads model loading and inference from the main thread
+ *
+ * WorkerEmbeddingProvider runs the local transformers.js model in a Web
+ * Worker (browser) or a pool of worker_threads (Node.js). It implements the
+ * same EmbeddingProvider interface as TransformersProvider, so an
+ * EmbeddingContext behaves identically either way: `new EmbeddingContext({ worker: true })`.
+ */
+
+import { getModelProfile } from './models.js';
+import { MODEL_NAME } from './providers.js';
+import { AbortError, throwIfAborted } from './abort.js';
+
+// Detect environment (a Web Worker has no window but is still a browser)
+const isBrowser = typeof window !== 'undefined' || typeof WorkerGlobalScope !== 'undefined';
+
+// Each worker loads its own copy of the model, so keep the pool small
+const DEFAULT_POOL_SIZE = 1;
+
+/**
+ * Start a worker and wrap it in a common interface
+ * Browser: module Web Worker. Node.js: worker_threads Worker.
+ */
+async function spawnWorker(workerUrl) {
+  if (isBrowser) {
+    // Literal `new URL(..., import.meta.url)` so bundlers (Vite, webpack) emit the worker file
+    const worker = workerUrl
+      ? new Worker(workerUrl, { type: 'module' })
+      : new Worker(new URL('./embedding-worker.js', import.meta.url), { type: 'module' });
+    return {
+      post: (message) => worker.postMessage(message),
+      onMessage: (handler) => { worker.onmessage = event => handler(event.data); },
+      onError: (handler) => { worker.onerror = event => handler(new Error(event.message || 'Embedding worker failed')); },
+      // Web Workers never keep the page alive
+      hold: () => {},
+      release: () => {},
+      terminate: async () => worker.terminate()
+    };
+  }
+
+  const { Worker } = await import('worker_threads');
+  const worker = new Worker(workerUrl || new URL('./embedding-worker.js', import.meta.url));
+  worker.unref();
+  return {
+    post: (message) => worker.postMessage(message),
+    onMessage: (handler) => worker.on('message', handler),
+    onError: (handler) => {
+      worker.on('error', handler);
+      worker.on('exit', code => {
+        if (code !== 0) handler(new Error(`Embedding worker exited with code ${code}`));
+      });
+    },
+    // Keep the process alive only while requests are in flight
+    hold: () => worker.ref(),
+    release: () => worker.unref(),
+    terminate: async () => { await worker.terminate(); }
+  };
+}
+
+/**
+ * Local embeddings computed in worker threads
+ *
+ * @example
+ * const provider = new WorkerEmbeddingProvider({ poolSize: 2 });
+ * const ctx = new EmbeddingContext({ provider });
+ *
+ * @implements {EmbeddingProvider}
+ */
+export class WorkerEmbeddingProvider {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.poolSize - Number of workers; each loads its own model (default: 1)
+   * @param {string|URL} options.workerUrl - Override the worker script location (default: bundled embedding-worker.js)
+   * @param {string} options.modelName - Model ID (default: 'Xenova/all-MiniLM-L6-v2')
+   * @param {boolean} options.quantized - Load the quantized ONNX weights (default: true)
+   * @param {Object} options.modelProfile - Overrides for the model profile (pooling, normalize, ...)
+   * @param {string} options.localModelPath - Directory holding model folders (`<path>/<modelName>/`)
+   * @param {string} options.cacheDir - Directory for downloaded model files (Node.js)
+   * @param {boolean} options.allowRemoteModels - Fetch from the Hugging Face hub when missing locally (default: true)
+   */
+  constructor(options = {}) {
+    this.modelId = options.modelName || MODEL_NAME;
+    this.quantized = options.quantized !== false;
+
+    const profile = getModelProfile(this.modelId, options.modelProfile);
+    this.pooling = profile.pooling;
+    this.normalize = profile.normalize;
+    this.poolSize = Math.max(1, options.poolSize || DEFAULT_POOL_SIZE);
+    this.workerUrl = options.workerUrl || null;
+    this.dimensions = null;
+
+    // Sent to each worker's TransformersProvider (must be structured-cloneable)
+    this.workerOptions = {
+      modelName: this.modelId,
+      quantized: this.quantized,
+      modelProfile: options.modelProfile || undefined,
+      localModelPath: options.localModelPath || null,
+      cacheDir: options.cacheDir || null,
+      allowRemoteModels: options.allowRemoteModels !== false
+    };
+
+    this.workers = [];
+    this.starting = null;
+    this.nextRequestId = 0;
+    this.nextWorker = 0;
+  }
+
+  /**
+   * Start the worker pool and load the model in every worker
+   * @param {Object} options - Init options
+   * @param {Function} options.onProgress - Progress callback for model download (first worker)
+   */
+  async init(options = {}) {
+    if (!this.starting) {
+      const starting = this._startPool(options);
+      this.starting = starting;
+      // Let a failed start be retried
+      starting.catch(() => {
+        if (this.starting === starting) this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Internal: spawn workers and wait for each to load the model
+   */
+  async _startPool(options = {}) {
+    const workers = [];
+    this.workers = workers;
+    for (let i = 0; i < this.poolSize; i++) {
+      workers.push(await this._createWorker());
+    }
+
+    try {
+      await Promise.all(workers.map((worker, i) => this._request(worker, 'init', { options: this.workerOptions }, {
+        // Workers download the same files; report progress once
+        onProgress: i === 0 ? options.onProgress : null
+      })));
+    } catch (error) {
+      await this._terminateAll(error);
+      throw error;
+    }
+    return null;
+  }
+
+  /**
+   * Internal: spawn one worker and route its replies to pending requests
+   */
+  async _createWorker() {
+    const handle = await spawnWorker(this.workerUrl);
+    const worker = { handle, pending: new Map() };
+
+    handle.onMessage(({ id, type, result, progress, error }) => {
+      const request = worker.pending.get(id);
+      if (!request) return;
+
+      if (type === 'progress') {
+        request.onProgress?.(progress);
+        return;
+      }
+
+      this._settle(worker, id);
+      if (type === 'error') {
+        const err = new Error(error.message);
+        err.name = error.name;
+        request.reject(err);
+      } else {
+        request.resolve(result);
+      }
+    });
+
+    // A crashed worker fails its requests; the pool restarts on the next call
+    handle.onError((error) => {
+      if (this.workers.includes(worker)) {
+        this._terminateAll(new Error(`Embedding worker failed: ${error.message}`));
+      }
+    });
+
+    return worker;
+  }
+
+  /**
+   * Internal: send a request to a worker
+   * @param {Object} options - { onProgress, requests } (`requests` collects { worker, id } for cancelRequests)
+   */
+  _request(worker, type, payload, options = {}) {
+    const id = this.nextRequestId++;
+    options.requests?.push({ worker, id });
+    return new Promise((resolve, reject) => {
+      worker.pending.set(id, { resolve, reject, onProgress: options.onProgress });
+      if (worker.pending.size === 1) worker.handle.hold();
+      worker.handle.post({ id, type, payload });
+    });
+  }
+
+  /**
+   * Internal: forget a finished request
+   */
+  _settle(worker, id) {
+    worker.pending.delete(id);
+    if (worker.pending.size === 0) worker.handle.release();
+  }
+
+  /**
+   * Internal: reject and forget some in-flight requests, leaving the workers running
+   * A worker still finishes a request it already started; its reply is dropped.
+   */
+  _cancelRequests(requests, error) {
+    for (const { worker, id } of requests) {
+      const request = worker.pending.get(id);
+      if (!request) continue;
+      this._settle(worker, id);
+      request.reject(error);
+    }
+  }
+
+  /**
+   * Internal: stop every worker and fail their in-flight requests
+   */
+  async _terminateAll(error) {
+    const workers = this.workers;
+    this.workers = [];
+    this.starting = null;
+
+    await Promise.all(workers.map(async (worker) => {
+      for (const [id, request] of worker.pending) {
+        this._settle(worker, id);
+        request.reject(error);
+      }
+      await worker.handle.terminate();
+    }));
+  }
+
+  /**
+   * Internal: wait for the pool; fails if it was cancelled in the meantime
+   */
+  async _ready() {
+    await this.init();
+    if (this.workers.length === 0) throw new AbortError('Embedding cancelled');
+  }
+
+  /**
+   * Internal: pick the next worker (round-robin)
+   */
+  _pickWorker() {
+    const worker = this.workers[this.nextWorker % this.workers.length];
+    this.nextWorker++;
+    return worker;
+  }
+
+  getSettings() {
+    return { quantized: this.quantized, pooling: this.pooling, normalize: this.normalize };
+  }
+
+  async embed(text, options = {}) {
+    const [embedding] = await this.embedBatch([text], options);
+    return embedding;
+  }
+
+  /**
+   * Embed texts, split evenly across the pool
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancels this call only; other calls sharing the pool keep running
+   * @returns {Promise<Float32Array[]>} Embeddings in input order
+   */
+  async embedBatch(texts, options = {}) {
+    const { signal } = options;
+    throwIfAborted(signal);
+
+    // Rejects this call (and drops its requests) as soon as the signal fires
+    const requests = [];
+    let rejectAborted;
+    const aborted = new Promise((_, reject) => { rejectAborted = reject; });
+    aborted.catch(() => {});
+    const onAbort = () => {
+      try {
+        throwIfAborted(signal);
+      } catch (error) {
+        this._cancelRequests(requests, error);
+        rejectAborted(error);
+      }
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      await Promise.race([this._ready(), aborted]);
+
+      const sliceSize = Math.ceil(texts.length / this.workers.length);
+      const slices = [];
+      for (let i = 0; i < texts.length; i += sliceSize) {
+        slices.push(texts.slice(i, i + sliceSize));
+      }
+
+      const results = await Promise.race([
+        Promise.all(slices.map(slice => this._request(this._pickWorker(), 'embed', { texts: slice }, { requests }))),
+        aborted
+      ]);
+      const embeddings = results.flat();
+      if (embeddings.length > 0) this.dimensions = embeddings[0].length;
+      return embeddings;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Count tokens with the model's tokenizer (in a worker)
+   */
+  async countTokens(text) {
+    await this._ready();
+    return this._request(this._pickWorker(), 'countTokens', { text });
+  }
+
+  /**
+   * Cancel all in-flight work, for every caller
+   * Pending calls reject and the workers are stopped mid-inference; the pool
+   * (and model) is started again on the next call. To cancel one call, pass
+   * a `signal` to embedBatch instead.
+   */
+  cancel() {
+    return this._terminateAll(new AbortError('Embedding cancelled'));
+  }
+
+  /**
+   * Stop the workers and free their models
+   */
+  async dispose() {
+    await this._terminateAll(new Error('Embedding provider disposed'));
+  }
+}
+
+export default {
+  WorkerEmbeddingProvider
+};
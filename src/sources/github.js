@@ -4,6 +4,9 @@
  * Fetches trending/relevant repositories from GitHub's search API.
  */
 
+import { sleep, throwIfAborted } from '../signal/abort.js';
+import { getCanonicalId } from '../signal/canonical.js';
+
 const GITHUB_API = 'https://api.github.com/search/repositories';
 
 /**
@@ -16,6 +19,7 @@ const GITHUB_API = 'https://api.github.com/search/repositories';
  * @param {number} options.daysBack - How many days back to search (default: 7)
  * @param {number} options.maxItems - Maximum items to return (default: 50)
  * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancels fetching; rejects with AbortError
  * @returns {Promise<Array>} Array of normalized items
  */
 export async function fetchGitHub(options = {}) {
@@ -25,7 +29,8 @@ export async function fetchGitHub(options = {}) {
     minStars = 10,
     daysBack = 7,
     maxItems = 50,
-    onProgress = null
+    onProgress = null,
+    signal = null
   } = options;
 
   const since = new Date();
@@ -38,6 +43,7 @@ export async function fetchGitHub(options = {}) {
 
   for (let i = 0; i < searchTerms.length; i++) {
     const term = searchTerms[i];
+    throwIfAborted(signal);
 
     if (onProgress) {
       onProgress({ current: i + 1, total: searchTerms.length, term });
@@ -54,13 +60,14 @@ export async function fetchGitHub(options = {}) {
         headers: {
           'Accept': 'application/vnd.github.v3+json',
           'User-Agent': 'semantic-relevance/1.0'
-        }
+        },
+        signal
       });
 
       if (!response.ok) {
         if (response.status === 403) {
           // Rate limited - wait and continue
-          await sleep(5000);
+          await sleep(5000, signal);
           continue;
         }
         continue;
@@ -76,8 +83,9 @@ export async function fetchGitHub(options = {}) {
       }
 
       // Be polite to GitHub API
-      await sleep(800);
+      await sleep(800, signal);
     } catch (error) {
+      throwIfAborted(signal);
       console.error(`GitHub fetch error for "${term}":`, error.message);
     }
   }
@@ -94,6 +102,7 @@ export async function fetchGitHub(options = {}) {
 function normalizeGitHubRepo(repo) {
   return {
     id: `github:${repo.full_name}`,
+    canonical_id: getCanonicalId({ id: `github:${repo.full_name}`, url: repo.html_url }),
     source: 'github',
     title: repo.full_name,
     description: [
@@ -116,29 +125,29 @@ function normalizeGitHubRepo(repo) {
   };
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Fetch with timeout support
  * @param {string} url - URL to fetch
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch options (`signal` also aborts the request)
  * @param {number} timeoutMs - Timeout in milliseconds (default: 10000)
  * @returns {Promise<Response>}
  */
 async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
+  const { signal, ...fetchOptions } = options;
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
 
   try {
     const response = await fetch(url, {
-      ...options,
+      ...fetchOptions,
       signal: controller.signal
     });
     return response;
   } finally {
     clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
   }
 }
 
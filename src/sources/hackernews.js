@@ -5,6 +5,9 @@
  * No authentication required.
  */
 
+import { sleep, throwIfAborted } from '../signal/abort.js';
+import { getCanonicalId } from '../signal/canonical.js';
+
 const HN_SEARCH_API = 'https://hn.algolia.com/api/v1';
 const HN_ITEM_URL = 'https://news.ycombinator.com/item?id=';
 
@@ -18,6 +21,7 @@ const HN_ITEM_URL = 'https://news.ycombinator.com/item?id=';
  * @param {number} options.maxItems - Maximum items to return (default: 50)
  * @param {boolean} options.includeFrontPage - Include front page stories (default: true)
  * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancels fetching; rejects with AbortError
  * @returns {Promise<Array>} Array of normalized items
  */
 export async function fetchHackerNews(options = {}) {
@@ -27,7 +31,8 @@ export async function fetchHackerNews(options = {}) {
     daysBack = 3,
     maxItems = 50,
     includeFrontPage = true,
-    onProgress = null
+    onProgress = null,
+    signal = null
   } = options;
 
   const items = [];
@@ -39,12 +44,13 @@ export async function fetchHackerNews(options = {}) {
 
   // Fetch front page
   if (includeFrontPage) {
+    throwIfAborted(signal);
     step++;
     if (onProgress) onProgress({ current: step, total: totalSteps, term: 'front page' });
 
     try {
       const url = `${HN_SEARCH_API}/search?tags=front_page&hitsPerPage=30`;
-      const response = await fetchWithTimeout(url);
+      const response = await fetchWithTimeout(url, { signal });
 
       if (response.ok) {
         const data = await response.json();
@@ -55,19 +61,21 @@ export async function fetchHackerNews(options = {}) {
         }
       }
     } catch (error) {
+      throwIfAborted(signal);
       console.error('HN front page fetch error:', error.message);
     }
   }
 
   // Search by keywords
   for (const keyword of keywords) {
+    throwIfAborted(signal);
     step++;
     if (onProgress) onProgress({ current: step, total: totalSteps, term: keyword });
 
     try {
       const url = `${HN_SEARCH_API}/search?query=${encodeURIComponent(keyword)}&tags=story&numericFilters=points>=${minPoints},created_at_i>=${since}&hitsPerPage=20`;
 
-      const response = await fetchWithTimeout(url);
+      const response = await fetchWithTimeout(url, { signal });
 
       if (response.ok) {
         const data = await response.json();
@@ -78,8 +86,9 @@ export async function fetchHackerNews(options = {}) {
         }
       }
 
-      await sleep(200);
+      await sleep(200, signal);
     } catch (error) {
+      throwIfAborted(signal);
       console.error(`HN search error for "${keyword}":`, error.message);
     }
   }
@@ -94,12 +103,15 @@ export async function fetchHackerNews(options = {}) {
  * Normalize an HN hit to standard item format
  */
 function normalizeHNHit(hit) {
+  const id = `hn:${hit.objectID}`;
+  const url = hit.url || `${HN_ITEM_URL}${hit.objectID}`;
   return {
-    id: `hn:${hit.objectID}`,
+    id,
+    canonical_id: getCanonicalId({ id, url }),
     source: 'hackernews',
     title: hit.title || 'Untitled',
     description: hit.story_text || hit.title || '',
-    url: hit.url || `${HN_ITEM_URL}${hit.objectID}`,
+    url,
     metadata: {
       points: hit.points || 0,
       comments: hit.num_comments || 0,
@@ -110,22 +122,23 @@ function normalizeHNHit(hit) {
   };
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Fetch with timeout support
+ * `options.signal` (the caller's signal) also aborts the request.
  */
 async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
+  const { signal, ...fetchOptions } = options;
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
 
   try {
-    const response = await fetch(url, { ...options, signal: controller.signal });
+    const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
     return response;
   } finally {
     clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
   }
 }
 
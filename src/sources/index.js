@@ -4,6 +4,8 @@
  * Exports all source fetching functionality.
  */
 
+import { throwIfAborted } from '../signal/abort.js';
+
 export { fetchGitHub } from './github.js';
 export { fetchHackerNews } from './hackernews.js';
 export { fetchReddit } from './reddit.js';
@@ -18,6 +20,7 @@ export { fetchLobsters } from './lobsters.js';
  * @param {Object} config.hackernews - HN options
  * @param {Object} config.reddit - Reddit options
  * @param {Object} config.rss - RSS options
+ * @param {AbortSignal} config.signal - Cancels every source; rejects with AbortError
  * @param {Function} onProgress - Progress callback
  * @returns {Promise<Array>} Combined items from all sources
  */
@@ -37,7 +40,7 @@ export async function fetchAllSources(config = {}, onProgress = null) {
       name: 'github',
       fetch: async () => {
         const { fetchGitHub } = await import('./github.js');
-        return fetchGitHub(config.github);
+        return fetchGitHub({ ...config.github, signal: config.signal });
       }
     });
   }
@@ -47,7 +50,7 @@ export async function fetchAllSources(config = {}, onProgress = null) {
       name: 'hackernews',
       fetch: async () => {
         const { fetchHackerNews } = await import('./hackernews.js');
-        return fetchHackerNews(config.hackernews);
+        return fetchHackerNews({ ...config.hackernews, signal: config.signal });
       }
     });
   }
@@ -57,7 +60,7 @@ export async function fetchAllSources(config = {}, onProgress = null) {
       name: 'reddit',
       fetch: async () => {
         const { fetchReddit } = await import('./reddit.js');
-        return fetchReddit(config.reddit);
+        return fetchReddit({ ...config.reddit, signal: config.signal });
       }
     });
   }
@@ -67,7 +70,7 @@ export async function fetchAllSources(config = {}, onProgress = null) {
       name: 'rss',
       fetch: async () => {
         const { fetchRSS } = await import('./rss.js');
-        return fetchRSS(config.rss);
+        return fetchRSS({ ...config.rss, signal: config.signal });
       }
     });
   }
@@ -77,7 +80,7 @@ export async function fetchAllSources(config = {}, onProgress = null) {
       name: 'lobsters',
       fetch: async () => {
         const { fetchLobsters } = await import('./lobsters.js');
-        return fetchLobsters(config.lobsters);
+        return fetchLobsters({ ...config.lobsters, signal: config.signal });
       }
     });
   }
@@ -96,6 +99,7 @@ export async function fetchAllSources(config = {}, onProgress = null) {
         onProgress({ source: source.name, status: 'done', count: items.length });
       }
     } catch (error) {
+      throwIfAborted(config.signal);
       console.error(`Error fetching ${source.name}:`, error.message);
       if (onProgress) {
         onProgress({ source: source.name, status: 'error', error: error.message });
@@ -5,6 +5,9 @@
  * link aggregation site similar to Hacker News.
  */
 
+import { throwIfAborted } from '../signal/abort.js';
+import { getCanonicalId } from '../signal/canonical.js';
+
 const LOBSTERS_API = 'https://lobste.rs';
 
 /**
@@ -14,15 +17,18 @@ const LOBSTERS_API = 'https://lobste.rs';
  * @param {string} options.feed - Feed type: 'hottest', 'newest', 'active' (default: 'hottest')
  * @param {number} options.maxItems - Maximum items to return (default: 25)
  * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancels fetching; rejects with AbortError
  * @returns {Promise<Array>} Array of normalized items
  */
 export async function fetchLobsters(options = {}) {
   const {
     feed = 'hottest',
     maxItems = 25,
-    onProgress = null
+    onProgress = null,
+    signal = null
   } = options;
 
+  throwIfAborted(signal);
   const items = [];
 
   try {
@@ -35,7 +41,8 @@ export async function fetchLobsters(options = {}) {
       headers: {
         'Accept': 'application/json',
         'User-Agent': 'semantic-relevance/1.0'
-      }
+      },
+      signal
     });
 
     if (!response.ok) {
@@ -52,6 +59,7 @@ export async function fetchLobsters(options = {}) {
       onProgress({ status: 'done', count: items.length });
     }
   } catch (error) {
+    throwIfAborted(signal);
     console.error('Lobsters fetch error:', error.message);
     if (onProgress) {
       onProgress({ status: 'error', error: error.message });
@@ -65,12 +73,15 @@ export async function fetchLobsters(options = {}) {
  * Normalize a Lobsters story to standard item format
  */
 function normalizeLobstersStory(story) {
+  const id = `lobsters:${story.short_id}`;
+  const url = story.url || story.comments_url;
   return {
-    id: `lobsters:${story.short_id}`,
+    id,
+    canonical_id: getCanonicalId({ id, url }),
     source: 'lobsters',
     title: story.title,
     description: story.description || story.title,
-    url: story.url || story.comments_url,
+    url,
     metadata: {
       score: story.score,
       comments: story.comment_count,
@@ -85,22 +96,26 @@ function normalizeLobstersStory(story) {
 /**
  * Fetch with timeout support
  * @param {string} url - URL to fetch
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch options (`signal` also aborts the request)
  * @param {number} timeoutMs - Timeout in milliseconds (default: 10000)
  * @returns {Promise<Response>}
  */
 async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
+  const { signal, ...fetchOptions } = options;
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
 
   try {
     const response = await fetch(url, {
-      ...options,
+      ...fetchOptions,
       signal: controller.signal
     });
     return response;
   } finally {
     clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
   }
 }
 
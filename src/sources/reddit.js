@@ -5,6 +5,9 @@
  * No authentication required for basic usage.
  */
 
+import { sleep, throwIfAborted } from '../signal/abort.js';
+import { getCanonicalId } from '../signal/canonical.js';
+
 const REDDIT_API = 'https://www.reddit.com';
 
 /**
@@ -17,6 +20,7 @@ const REDDIT_API = 'https://www.reddit.com';
  * @param {number} options.maxItems - Maximum items per subreddit (default: 25)
  * @param {string} options.sort - Sort order: 'hot', 'new', 'top' (default: 'hot')
  * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancels fetching; rejects with AbortError
  * @returns {Promise<Array>} Array of normalized items
  */
 export async function fetchReddit(options = {}) {
@@ -26,7 +30,8 @@ export async function fetchReddit(options = {}) {
     minScore = 10,
     maxItems = 25,
     sort = 'hot',
-    onProgress = null
+    onProgress = null,
+    signal = null
   } = options;
 
   const items = [];
@@ -37,6 +42,7 @@ export async function fetchReddit(options = {}) {
 
   // Fetch from each subreddit
   for (const subreddit of subreddits) {
+    throwIfAborted(signal);
     step++;
     if (onProgress) onProgress({ current: step, total: totalSteps, term: `r/${subreddit}` });
 
@@ -44,7 +50,8 @@ export async function fetchReddit(options = {}) {
       const url = `${REDDIT_API}/r/${subreddit}/${sort}.json?limit=30`;
 
       const response = await fetchWithTimeout(url, {
-        headers: { 'User-Agent': 'semantic-relevance/1.0' }
+        headers: { 'User-Agent': 'semantic-relevance/1.0' },
+        signal
       });
 
       if (!response.ok) continue;
@@ -60,8 +67,9 @@ export async function fetchReddit(options = {}) {
         items.push(normalizeRedditPost(p));
       }
 
-      await sleep(500);
+      await sleep(500, signal);
     } catch (error) {
+      throwIfAborted(signal);
       console.error(`Reddit fetch error for r/${subreddit}:`, error.message);
     }
   }
@@ -72,11 +80,13 @@ export async function fetchReddit(options = {}) {
     if (onProgress) onProgress({ current: step, total: totalSteps, term: 'keyword search' });
 
     for (const keyword of keywords.slice(0, 5)) {
+      throwIfAborted(signal);
       try {
         const url = `${REDDIT_API}/search.json?q=${encodeURIComponent(keyword)}&sort=relevance&limit=20`;
 
         const response = await fetchWithTimeout(url, {
-          headers: { 'User-Agent': 'semantic-relevance/1.0' }
+          headers: { 'User-Agent': 'semantic-relevance/1.0' },
+          signal
         });
 
         if (!response.ok) continue;
@@ -92,8 +102,9 @@ export async function fetchReddit(options = {}) {
           items.push(normalizeRedditPost(p));
         }
 
-        await sleep(500);
+        await sleep(500, signal);
       } catch (error) {
+        throwIfAborted(signal);
         console.error(`Reddit search error for "${keyword}":`, error.message);
       }
     }
@@ -109,12 +120,15 @@ export async function fetchReddit(options = {}) {
  * Normalize a Reddit post to standard item format
  */
 function normalizeRedditPost(post) {
+  const id = `reddit:${post.id}`;
+  const url = post.url?.startsWith('/') ? `https://reddit.com${post.url}` : (post.url || `https://reddit.com${post.permalink}`);
   return {
-    id: `reddit:${post.id}`,
+    id,
+    canonical_id: getCanonicalId({ id, url }),
     source: 'reddit',
     title: post.title,
     description: post.selftext?.slice(0, 500) || post.title,
-    url: post.url?.startsWith('/') ? `https://reddit.com${post.url}` : (post.url || `https://reddit.com${post.permalink}`),
+    url,
     metadata: {
       score: post.score,
       upvotes: post.ups,
@@ -130,22 +144,23 @@ function normalizeRedditPost(post) {
   };
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Fetch with timeout support
+ * `options.signal` (the caller's signal) also aborts the request.
  */
 async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
+  const { signal, ...fetchOptions } = options;
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
 
   try {
-    const response = await fetch(url, { ...options, signal: controller.signal });
+    const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
     return response;
   } finally {
     clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
   }
 }
 
@@ -4,6 +4,9 @@
  * Fetches and parses RSS/Atom feeds.
  */
 
+import { sleep, throwIfAborted } from '../signal/abort.js';
+import { getCanonicalId } from '../signal/canonical.js';
+
 /**
  * Fetch items from RSS feeds
  *
@@ -11,19 +14,22 @@
  * @param {Array<{url: string, name: string, source: string}>} options.feeds - Feed configs
  * @param {number} options.maxItemsPerFeed - Max items per feed (default: 20)
  * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancels fetching; rejects with AbortError
  * @returns {Promise<Array>} Array of normalized items
  */
 export async function fetchRSS(options = {}) {
   const {
     feeds = [],
     maxItemsPerFeed = 20,
-    onProgress = null
+    onProgress = null,
+    signal = null
   } = options;
 
   const allItems = [];
 
   for (let i = 0; i < feeds.length; i++) {
     const feed = feeds[i];
+    throwIfAborted(signal);
 
     if (onProgress) {
       onProgress({ current: i + 1, total: feeds.length, term: feed.name || feed.url });
@@ -34,7 +40,8 @@ export async function fetchRSS(options = {}) {
         headers: {
           'User-Agent': 'semantic-relevance/1.0',
           'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml'
-        }
+        },
+        signal
       });
 
       if (!response.ok) {
@@ -47,8 +54,9 @@ export async function fetchRSS(options = {}) {
 
       allItems.push(...items.slice(0, maxItemsPerFeed));
 
-      await sleep(300);
+      await sleep(300, signal);
     } catch (error) {
+      throwIfAborted(signal);
       console.error(`RSS fetch error for ${feed.name}:`, error.message);
     }
   }
@@ -105,6 +113,7 @@ function parseItemXml(xml, source) {
 
   return {
     id,
+    canonical_id: getCanonicalId({ id, url: link }),
     source,
     title: cleanText(title).slice(0, 300),
     description: cleanText(description).slice(0, 500),
@@ -178,22 +187,23 @@ function hashString(str) {
   return Math.abs(hash).toString(36);
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Fetch with timeout support
+ * `options.signal` (the caller's signal) also aborts the request.
  */
 async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
+  const { signal, ...fetchOptions } = options;
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
 
   try {
-    const response = await fetch(url, { ...options, signal: controller.signal });
+    const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
     return response;
   } finally {
     clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
   }
 }
 
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  createCacheKey,
+  getSettingsFingerprint,
+  MemoryEmbeddingStore,
+  FileEmbeddingStore,
+} from '../src/signal/cache.js';
+
+const settings = { modelName: 'Xenova/all-MiniLM-L6-v2', pooling: 'mean', normalize: true };
+
+async function withTempDir(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'semantic-relevance-'));
+  try {
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('createCacheKey combines model, settings fingerprint and text digest', async () => {
+  const key = await createCacheKey(settings, 'hello');
+  assert.match(key, /^Xenova\/all-MiniLM-L6-v2:[0-9a-f]{16}:[0-9a-f]{64}$/);
+  assert.equal(await createCacheKey(settings, 'hello'), key);
+  assert.notEqual(await createCacheKey(settings, 'hello!'), key);
+  assert.notEqual(await createCacheKey({ ...settings, normalize: false }, 'hello'), key);
+});
+
+test('getSettingsFingerprint ignores key order', async () => {
+  const reordered = { normalize: true, pooling: 'mean', modelName: 'Xenova/all-MiniLM-L6-v2' };
+  assert.equal(await getSettingsFingerprint(reordered), await getSettingsFingerprint(settings));
+});
+
+test('MemoryEmbeddingStore returns saved vectors and evicts least recently used', async () => {
+  const store = new MemoryEmbeddingStore({ maxEntries: 2 });
+  await store.save([
+    { key: 'a', embedding: new Float32Array([1]) },
+    { key: 'b', embedding: new Float32Array([2]) },
+  ]);
+  await store.load(['a']);
+  await store.save([{ key: 'c', embedding: new Float32Array([3]) }]);
+
+  const loaded = await store.load(['a', 'b', 'c']);
+  assert.deepEqual([...loaded.keys()], ['a', 'c']);
+  assert.equal(store.size, 2);
+});
+
+for (const format of ['json', 'binary']) {
+  test(`FileEmbeddingStore round-trips vectors in ${format} format`, () => withTempDir(async (dir) => {
+    const filePath = join(dir, `cache.${format}`);
+    const store = new FileEmbeddingStore(filePath, { format });
+    await store.save([
+      { key: 'a', embedding: new Float32Array([0.5, -1, 2]) },
+      { key: 'b', embedding: new Float32Array([3, 4]) },
+    ]);
+    await store.flush();
+
+    const reloaded = new FileEmbeddingStore(filePath, { format });
+    const loaded = await reloaded.load(['a', 'b', 'missing']);
+    assert.deepEqual(Array.from(loaded.get('a')), [0.5, -1, 2]);
+    assert.deepEqual(Array.from(loaded.get('b')), [3, 4]);
+    assert.equal(loaded.has('missing'), false);
+  }));
+
+  test(`FileEmbeddingStore treats a truncated ${format} file as empty`, () => withTempDir(async (dir) => {
+    const filePath = join(dir, `cache.${format}`);
+    const store = new FileEmbeddingStore(filePath, { format });
+    await store.save([{ key: 'a', embedding: new Float32Array([1, 2, 3]) }]);
+    await store.flush();
+    const content = await readFile(filePath);
+    await writeFile(filePath, content.subarray(0, content.length - 3));
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args);
+    let loaded;
+    const reloaded = new FileEmbeddingStore(filePath, { format });
+    try {
+      loaded = await reloaded.load(['a']);
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(loaded.size, 0);
+    assert.equal(warnings.length, 1);
+
+    // The next flush rewrites a readable file
+    await reloaded.save([{ key: 'b', embedding: new Float32Array([4]) }]);
+    await reloaded.flush();
+    const fresh = await new FileEmbeddingStore(filePath, { format }).load(['b']);
+    assert.deepEqual(Array.from(fresh.get('b')), [4]);
+  }));
+}
+
+test('FileEmbeddingStore starts empty when the file does not exist', () => withTempDir(async (dir) => {
+  const store = new FileEmbeddingStore(join(dir, 'missing.json'));
+  assert.equal((await store.load(['a'])).size, 0);
+}));
+
+test('FileEmbeddingStore prunes least recently used entries on flush', () => withTempDir(async (dir) => {
+  const filePath = join(dir, 'cache.json');
+  const store = new FileEmbeddingStore(filePath, { maxEntries: 1 });
+  await store.save([{ key: 'old', embedding: new Float32Array([1]) }]);
+  store.data.get('old').lastUsed = 0;
+  await store.save([{ key: 'new', embedding: new Float32Array([2]) }]);
+  await store.flush();
+
+  const loaded = await new FileEmbeddingStore(filePath).load(['old', 'new']);
+  assert.deepEqual([...loaded.keys()], ['new']);
+}));
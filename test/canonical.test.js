@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  canonicalizeUrl,
+  getGitHubRepo,
+  getCanonicalId,
+  getItemKey,
+} from '../src/signal/canonical.js';
+
+test('canonicalizeUrl normalizes scheme, host, port, trailing slash and fragment', () => {
+  assert.equal(
+    canonicalizeUrl('  http://WWW.Example.com/Post/?b=2&a=1#comments  '),
+    'https://example.com/Post?a=1&b=2'
+  );
+  assert.equal(canonicalizeUrl('https://example.com:443/'), 'https://example.com');
+  assert.equal(canonicalizeUrl('https://example.com:8080/a'), 'https://example.com:8080/a');
+});
+
+test('canonicalizeUrl strips tracking parameters everywhere', () => {
+  assert.equal(
+    canonicalizeUrl('https://example.com/post?utm_source=hn&utm_medium=x&fbclid=abc&id=7&ref_src=twsrc'),
+    'https://example.com/post?id=7'
+  );
+});
+
+test('canonicalizeUrl keeps generic parameters except on hosts that track with them', () => {
+  assert.equal(
+    canonicalizeUrl('https://example.com/search?source=docs&ref=main&si=1'),
+    'https://example.com/search?ref=main&si=1&source=docs'
+  );
+  assert.equal(
+    canonicalizeUrl('https://youtu.be/dQw4w9WgXcQ?si=abc123&t=42'),
+    'https://youtube.com/watch?t=42&v=dQw4w9WgXcQ'
+  );
+  assert.equal(
+    canonicalizeUrl('https://medium.com/@someone/post-123?source=rss'),
+    'https://medium.com/@someone/post-123'
+  );
+});
+
+test('canonicalizeUrl collapses host aliases', () => {
+  assert.equal(
+    canonicalizeUrl('https://old.reddit.com/r/javascript/comments/abc/'),
+    'https://reddit.com/r/javascript/comments/abc'
+  );
+  assert.equal(canonicalizeUrl('https://twitter.com/user/status/1'), 'https://x.com/user/status/1');
+});
+
+test('canonicalizeUrl resolves redirect wrappers', () => {
+  assert.equal(
+    canonicalizeUrl('https://www.google.com/url?q=https%3A%2F%2Fexample.com%2Fa%3Futm_source%3Dg&sa=D'),
+    'https://example.com/a'
+  );
+  assert.equal(
+    canonicalizeUrl('https://href.li/?https%3A%2F%2Fexample.com%2Fb'),
+    'https://example.com/b'
+  );
+});
+
+test('canonicalizeUrl leaves a URL with an undecodable redirect target unchanged', () => {
+  assert.equal(canonicalizeUrl(' https://href.li/?100%off '), 'https://href.li/?100%off');
+});
+
+test('canonicalizeUrl rejects missing and non-http URLs', () => {
+  assert.equal(canonicalizeUrl(''), null);
+  assert.equal(canonicalizeUrl(undefined), null);
+  assert.equal(canonicalizeUrl('not a url'), null);
+  assert.equal(canonicalizeUrl('mailto:someone@example.com'), null);
+  assert.equal(canonicalizeUrl('https://www.google.com/url?q=javascript:alert(1)'), null);
+});
+
+test('getGitHubRepo returns the repository for repo pages only', () => {
+  assert.equal(getGitHubRepo('https://github.com/Owner/Repo'), 'owner/repo');
+  assert.equal(getGitHubRepo('https://github.com/Owner/Repo.git'), 'owner/repo');
+  assert.equal(getGitHubRepo('https://github.com/Owner/Repo/tree/main/src'), 'owner/repo');
+  assert.equal(getGitHubRepo('https://github.com/Owner/Repo/issues/1'), null);
+  assert.equal(getGitHubRepo('https://github.com/trending/javascript'), null);
+  assert.equal(getGitHubRepo('https://github.com/Owner'), null);
+  assert.equal(getGitHubRepo('https://example.com/Owner/Repo'), null);
+});
+
+test('getCanonicalId matches the same link across sources', () => {
+  const fromHn = { id: 'hn:1', url: 'https://github.com/Owner/Repo?utm_source=hn' };
+  const fromReddit = { id: 'reddit:abc', url: 'http://www.github.com/owner/repo/' };
+  assert.equal(getCanonicalId(fromHn), 'github:owner/repo');
+  assert.equal(getCanonicalId(fromReddit), getCanonicalId(fromHn));
+
+  assert.equal(getCanonicalId({ id: 'rss:1', url: 'https://example.com/a#x' }), 'url:https://example.com/a');
+  assert.equal(getCanonicalId({ id: 'hn:2' }), 'hn:2');
+});
+
+test('getItemKey uses the source id or the canonical id', () => {
+  const item = { id: 'hn:1', url: 'https://example.com/a' };
+  assert.equal(getItemKey(item), 'hn:1');
+  assert.equal(getItemKey(item, 'canonical'), 'url:https://example.com/a');
+  assert.equal(getItemKey({ ...item, canonical_id: 'custom' }, 'canonical'), 'custom');
+  assert.throws(() => getItemKey(item, 'url'), /Unknown identity "url"/);
+});
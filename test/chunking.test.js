@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  splitSentences,
+  chunkByTokens,
+  aggregateChunkEmbeddings,
+} from '../src/signal/chunking.js';
+
+// One token per word keeps budgets easy to reason about
+const countWords = async (text) => text.split(/\s+/).filter(Boolean).length;
+
+function assertClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) < 1e-6, `index ${i}: ${actual[i]} != ${expected[i]}`);
+  }
+}
+
+test('splitSentences breaks on terminal punctuation and newlines', () => {
+  assert.deepEqual(
+    splitSentences('First one. Second one?  Third!\nFourth line\n\n'),
+    ['First one.', 'Second one?', 'Third!', 'Fourth line']
+  );
+});
+
+test('chunkByTokens returns text that fits the budget as one chunk', async () => {
+  const text = 'Short text. Fits easily.';
+  assert.deepEqual(await chunkByTokens(text, { budget: 10, overlap: 2, countTokens: countWords }), [text]);
+});
+
+test('chunkByTokens packs sentences into windows and carries overlap', async () => {
+  const text = 'a b c. d e f. g h i. j k l.';
+  const chunks = await chunkByTokens(text, { budget: 6, overlap: 3, countTokens: countWords });
+  assert.deepEqual(chunks, ['a b c. d e f.', 'd e f. g h i.', 'g h i. j k l.']);
+});
+
+test('chunkByTokens without overlap never repeats a sentence', async () => {
+  const text = 'a b c. d e f. g h i. j k l.';
+  const chunks = await chunkByTokens(text, { budget: 6, overlap: 0, countTokens: countWords });
+  assert.deepEqual(chunks, ['a b c. d e f.', 'g h i. j k l.']);
+});
+
+test('chunkByTokens splits an oversized sentence into word runs', async () => {
+  const text = 'one two three four five six seven';
+  const chunks = await chunkByTokens(text, { budget: 3, overlap: 0, countTokens: countWords });
+  assert.deepEqual(chunks, ['one two three', 'four five six', 'seven']);
+  for (const chunk of chunks) {
+    assert.ok(await countWords(chunk) <= 3);
+  }
+});
+
+test('aggregateChunkEmbeddings returns the only or first chunk unchanged', () => {
+  const first = new Float32Array([1, 0]);
+  const second = new Float32Array([0, 1]);
+  assert.equal(aggregateChunkEmbeddings([first], 'weighted-mean', 0.5), first);
+  assert.equal(aggregateChunkEmbeddings([first, second], 'first', 0.5), first);
+});
+
+test('aggregateChunkEmbeddings weights earlier chunks more and normalizes', () => {
+  const combined = aggregateChunkEmbeddings(
+    [new Float32Array([1, 0]), new Float32Array([0, 1])],
+    'weighted-mean',
+    0.5
+  );
+  // Weights 1 and 0.5 -> [2/3, 1/3], normalized
+  assertClose(combined, [2 / Math.sqrt(5), 1 / Math.sqrt(5)]);
+});
+
+test('aggregateChunkEmbeddings max-pools element-wise and normalizes', () => {
+  const combined = aggregateChunkEmbeddings(
+    [new Float32Array([3, -1]), new Float32Array([-2, 4])],
+    'max',
+    0.5
+  );
+  assertClose(combined, [3 / 5, 4 / 5]);
+});
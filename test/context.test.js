@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseContext,
+  toContextProfile,
+  markdownToProfile,
+  isNameLike,
+} from '../src/signal/context.js';
+
+const CONTEXT = `# DevLens
+
+## What I'm Building
+**DevLens** — AI code review for large monorepos. Ships as a GitHub app.
+
+## Competitors I'm Watching
+- **Cursor** — AI editor
+- GitHub Copilot: autocomplete
+- teams building their own review bots
+
+### Pricing
+- Tabnine
+
+## Open Questions
+1. Will teams pay for review bots?
+2) Is latency the real blocker
+
+## Watch List
+- tree-sitter
+
+## Not Interested In
+- crypto
+Hiring posts?
+
+\`\`\`
+## Not a heading
+- not a bullet
+\`\`\`
+`;
+
+test('parseContext reads title, building, competitors and questions', () => {
+  const profile = parseContext(CONTEXT);
+  assert.equal(profile.title, 'DevLens');
+  assert.deepEqual(profile.building, { name: 'DevLens', description: 'AI code review for large monorepos' });
+  assert.deepEqual(profile.competitors, ['Cursor', 'GitHub Copilot', 'Tabnine']);
+  assert.deepEqual(profile.questions, ['Will teams pay for review bots?']);
+  assert.deepEqual(profile.watched, ['tree-sitter']);
+});
+
+test('parseContext types sections from headings and their parents', () => {
+  const types = parseContext(CONTEXT).sections.map(({ heading, type }) => [heading, type]);
+  assert.deepEqual(types, [
+    [null, null],
+    ['DevLens', null],
+    ["What I'm Building", 'building'],
+    ["Competitors I'm Watching", 'competitive'],
+    ['Pricing', 'competitive'],
+    ['Open Questions', 'thesis-challenging'],
+    ['Watch List', 'watched'],
+    ['Not Interested In', 'excluded']
+  ]);
+});
+
+test('parseContext describes bullets with lead, depth and list kind', () => {
+  const [cursor, copilot, other] = parseContext(CONTEXT).bullets;
+  assert.deepEqual(cursor, {
+    text: 'Cursor — AI editor',
+    lead: 'Cursor',
+    depth: 0,
+    ordered: false,
+    section: "Competitors I'm Watching",
+    sectionType: 'competitive'
+  });
+  assert.equal(copilot.lead, 'GitHub Copilot');
+  assert.equal(other.lead, 'teams building their own review bots');
+
+  const ordered = parseContext(CONTEXT).bullets.filter(bullet => bullet.ordered);
+  assert.deepEqual(ordered.map(bullet => bullet.text), ['Will teams pay for review bots?', 'Is latency the real blocker']);
+
+  const nested = parseContext('## Tools\n- Node\n  - Vite\n').bullets;
+  assert.deepEqual(nested.map(bullet => bullet.depth), [0, 1]);
+});
+
+test('parseContext keeps excluded sections out of everything else', () => {
+  const profile = parseContext(CONTEXT);
+  assert.deepEqual(profile.excluded, ['crypto', 'Hiring posts?']);
+  assert.ok(!profile.bullets.some(bullet => bullet.text === 'crypto'));
+  assert.ok(!profile.questions.includes('Hiring posts?'));
+  assert.ok(!profile.text.includes('crypto'));
+  assert.ok(profile.text.includes('Will teams pay for review bots?'));
+});
+
+test('parseContext skips fenced code blocks', () => {
+  const profile = parseContext(CONTEXT);
+  assert.ok(!profile.sections.some(section => section.heading === 'Not a heading'));
+  assert.ok(!profile.excluded.includes('not a bullet'));
+});
+
+test('parseContext returns an empty profile for missing input', () => {
+  const profile = parseContext(undefined);
+  assert.equal(profile.title, null);
+  assert.deepEqual(profile.bullets, []);
+  assert.equal(profile.text, '');
+});
+
+test('parseContext reads a profile from front matter', () => {
+  const profile = parseContext('---\ncompetitors: [Cursor, Tabnine]\n---\n## Notes\nSome notes.\n');
+  assert.deepEqual(profile.competitors, ['Cursor', 'Tabnine']);
+  assert.ok(profile.text.includes('Some notes.'));
+});
+
+test('isNameLike accepts short capitalized names only', () => {
+  assert.equal(isNameLike('Cursor'), true);
+  assert.equal(isNameLike('GitHub Copilot'), true);
+  assert.equal(isNameLike('cursor'), false);
+  assert.equal(isNameLike('Teams Building Their Bots'), false);
+});
+
+test('toContextProfile accepts markdown, JSON, definitions and parsed profiles', () => {
+  const parsed = parseContext(CONTEXT);
+  assert.equal(toContextProfile(parsed), parsed);
+  assert.deepEqual(toContextProfile(CONTEXT), parsed);
+
+  const definition = { competitors: ['Cursor'] };
+  assert.deepEqual(toContextProfile(definition).competitors, ['Cursor']);
+  assert.deepEqual(toContextProfile(JSON.stringify(definition)).competitors, ['Cursor']);
+  assert.throws(() => toContextProfile('{ competitors: '), /could not be parsed/);
+});
+
+test('markdownToProfile converts sections to profile fields', () => {
+  assert.deepEqual(markdownToProfile(CONTEXT), {
+    name: 'DevLens',
+    building: { name: 'DevLens', description: 'AI code review for large monorepos' },
+    competitors: [
+      'Cursor — AI editor',
+      'GitHub Copilot: autocomplete',
+      'teams building their own review bots',
+      'Tabnine'
+    ],
+    assumptions: ['Will teams pay for review bots?', 'Is latency the real blocker'],
+    watching: ['tree-sitter'],
+    exclude: ['crypto', 'Hiring posts?']
+  });
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PROFILE_FIELDS,
+  validateProfile,
+  profileToMarkdown,
+  parseFrontMatter,
+  splitProfileFrontMatter,
+} from '../src/signal/profile.js';
+
+test('validateProfile returns a valid definition unchanged', () => {
+  const definition = {
+    name: 'DevLens',
+    building: { name: 'DevLens', description: 'AI code review' },
+    competitors: ['Cursor'],
+    exclude: ['crypto']
+  };
+  assert.equal(validateProfile(definition), definition);
+});
+
+test('validateProfile lists every problem and suggests near-miss fields', () => {
+  assert.throws(() => validateProfile({
+    pain_points: ['slow reviews'],
+    competitors: 'Cursor',
+    trends: ['ok', ''],
+    colour: 'blue'
+  }), (error) => {
+    assert.match(error.message, /Unknown field "pain_points"\. Did you mean "painPoints"\?/);
+    assert.match(error.message, /"competitors" must be a list of strings \(got a single string; use \["Cursor"\]\)/);
+    assert.match(error.message, /"trends\[1\]" must be a non-empty string/);
+    assert.ok(error.message.includes(`Unknown field "colour". Expected one of: ${PROFILE_FIELDS.join(', ')}`));
+    return true;
+  });
+});
+
+test('validateProfile requires interests unless told otherwise', () => {
+  assert.throws(() => validateProfile({ exclude: ['crypto'] }), /Profile describes no interests/);
+  assert.doesNotThrow(() => validateProfile({ exclude: ['crypto'] }, { requireInterests: false }));
+  assert.throws(() => validateProfile(['Cursor']), /expected an object/);
+  assert.throws(() => validateProfile({ building: { name: 'X' } }), /"building\.description" must be a non-empty string/);
+});
+
+test('profileToMarkdown writes one section per field', () => {
+  const markdown = profileToMarkdown({
+    name: 'DevLens',
+    building: { name: 'DevLens', description: 'AI code review' },
+    competitors: ['Cursor', ' GitHub Copilot '],
+    exclude: ['crypto']
+  });
+  assert.equal(markdown, [
+    '# DevLens',
+    '',
+    "## What I'm Building",
+    '**DevLens** — AI code review',
+    '',
+    '## Competitors',
+    '- Cursor',
+    '- GitHub Copilot',
+    '',
+    '## Not Interested In',
+    '- crypto',
+    ''
+  ].join('\n'));
+});
+
+test('parseFrontMatter reads scalars, lists, nested keys and comments', () => {
+  const { data, body } = parseFrontMatter([
+    '---',
+    'name: DevLens # product',
+    'building:',
+    '  name: DevLens',
+    '  description: "AI code review # for monorepos"',
+    'competitors: [Cursor, "GitHub Copilot"]',
+    'watching:',
+    '  - tree-sitter',
+    '  - embeddings',
+    'exclude: ~',
+    '---',
+    '# Body'
+  ].join('\n'));
+
+  assert.deepEqual(data, {
+    name: 'DevLens',
+    building: { name: 'DevLens', description: 'AI code review # for monorepos' },
+    competitors: ['Cursor', 'GitHub Copilot'],
+    watching: ['tree-sitter', 'embeddings'],
+    exclude: null
+  });
+  assert.equal(body, '# Body');
+});
+
+test('parseFrontMatter reports the line of a syntax error', () => {
+  assert.throws(
+    () => parseFrontMatter('---\nname: DevLens\n  - stray\n---\n'),
+    /Invalid front matter \(line 3\): indented line without a parent key/
+  );
+  assert.deepEqual(parseFrontMatter('# No front matter'), { data: null, body: '# No front matter' });
+});
+
+test('splitProfileFrontMatter only treats profile fields as a profile', () => {
+  assert.deepEqual(
+    splitProfileFrontMatter('---\ncompetitors: [Cursor]\n---\nBody'),
+    { profile: { competitors: ['Cursor'] }, body: 'Body' }
+  );
+  // Ordinary front matter is dropped, a name alone doesn't make a profile
+  assert.deepEqual(
+    splitProfileFrontMatter('---\nname: Notes\ndate: 2024-01-01\n---\nBody'),
+    { profile: null, body: 'Body' }
+  );
+  // A leading horizontal rule block that isn't YAML stays in the document
+  const markdown = '---\nJust some text\n---\nBody';
+  assert.deepEqual(splitProfileFrontMatter(markdown), { profile: null, body: markdown });
+  // Broken profile front matter is an error, not silently ignored
+  assert.throws(() => splitProfileFrontMatter('---\ncompetitors:\n  oops\n---\n'), /line 3/);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  hasKeyword,
+  parseRuleExpression,
+  matchesExpression,
+  RuleSet,
+} from '../src/signal/rules.js';
+
+const item = {
+  id: 'reddit:abc',
+  source: 'reddit',
+  title: 'Rust 2.0 released',
+  description: 'A C++ developer looks at the new borrow checker',
+  metadata: { language: 'Rust', tags: ['systems', 'compilers'] }
+};
+
+const matches = (expression, target = item) => matchesExpression(parseRuleExpression(expression), target);
+
+test('hasKeyword matches whole words and punctuated keywords', () => {
+  assert.equal(hasKeyword('Rust 2.0 released', 'rust'), true);
+  assert.equal(hasKeyword('Trustworthy code', 'rust'), false);
+  assert.equal(hasKeyword('A C++ developer', 'c++'), true);
+  assert.equal(hasKeyword('Comparing gpt-4o and others', 'gpt-4'), false);
+  assert.equal(hasKeyword('Trying gpt-4 today', 'GPT-4'), true);
+});
+
+test('parseRuleExpression binds NOT tighter than AND, and AND tighter than OR', () => {
+  assert.deepEqual(parseRuleExpression('a OR b c AND NOT d'), {
+    op: 'or',
+    operands: [
+      { op: 'term', field: null, value: 'a' },
+      {
+        op: 'and',
+        operands: [
+          { op: 'term', field: null, value: 'b' },
+          { op: 'term', field: null, value: 'c' },
+          { op: 'not', operand: { op: 'term', field: null, value: 'd' } }
+        ]
+      }
+    ]
+  });
+});
+
+test('parseRuleExpression reports syntax errors and unknown fields', () => {
+  assert.throws(() => parseRuleExpression(''), /must be a non-empty string/);
+  assert.throws(() => parseRuleExpression('"rust'), /unterminated quote at position 0/);
+  assert.throws(() => parseRuleExpression('(rust OR zig'), /expected "\)" but found end of expression/);
+  assert.throws(() => parseRuleExpression('rust AND'), /expression ends where a term was expected/);
+  assert.throws(() => parseRuleExpression('"  "'), /empty quoted term/);
+  assert.throws(() => parseRuleExpression('lang:rust'), /Unknown field "lang"/);
+});
+
+test('matchesExpression searches title and description for unscoped terms', () => {
+  assert.equal(matches('("rust" OR "zig") AND NOT "job"'), true);
+  assert.equal(matches('"borrow checker"'), true);
+  assert.equal(matches('rust AND job'), false);
+  assert.equal(matches('NOT rust'), false);
+});
+
+test('matchesExpression scopes terms to fields, metadata and lists', () => {
+  assert.equal(matches('source:reddit AND title:"rust"'), true);
+  assert.equal(matches('title:"borrow"'), false);
+  assert.equal(matches('metadata.language:rust'), true);
+  assert.equal(matches('metadata.tags:compilers'), true);
+  assert.equal(matches('author:someone'), false);
+  assert.equal(matches('type:technical', { ...item, filter_result: { signal_type: 'technical' } }), true);
+});
+
+test('RuleSet validates actions, stages, types and boosts', () => {
+  assert.throws(() => new RuleSet({}), /Rules must be an array/);
+  assert.throws(() => new RuleSet([{ when: 'rust', action: 'drop' }]), /Invalid rule "rust": unknown action "drop"/);
+  assert.throws(() => new RuleSet([{ when: 'rust', action: 'include', stage: 'after' }]), /"include" rules can't run after scoring/);
+  assert.throws(() => new RuleSet([{ when: 'rust', action: 'boost' }]), /"boost" must be a number/);
+  assert.throws(
+    () => new RuleSet([{ when: 'rust', action: 'type', type: 'hype' }], { types: ['technical', 'trend'] }),
+    /"type" must be one of: technical, trend/
+  );
+  assert.throws(() => new RuleSet([{ when: 'type:trend', action: 'exclude' }]), /only known after scoring/);
+  assert.throws(() => new RuleSet([{ when: 'rust', action: 'exclude', stage: 'later', name: 'no-rust' }]), /Invalid rule "no-rust": unknown stage "later"/);
+});
+
+test('RuleSet.matchBefore returns the first matching include or exclude rule', () => {
+  const ruleSet = new RuleSet([
+    { when: 'zig', action: 'include' },
+    { when: 'source:reddit', action: 'exclude', name: 'no-reddit' },
+    { when: 'rust', action: 'include' },
+    { when: 'rust', action: 'boost', boost: 10 }
+  ]);
+  assert.deepEqual(ruleSet.matchBefore(item), { rule: 'no-reddit', action: 'exclude' });
+  assert.deepEqual(ruleSet.matchBefore({ ...item, source: 'hackernews' }), { rule: 'rust', action: 'include' });
+  assert.equal(ruleSet.matchBefore({ title: 'Go 2' }), null);
+});
+
+test('RuleSet.applyAfter forces the first type and adds up boosts', () => {
+  const signal = {
+    ...item,
+    filter_result: {
+      signal_type: 'trend',
+      signal_types: [{ type: 'trend', score: 0.4, keywords: [] }, { type: 'technical', score: 0.3, keywords: [] }]
+    }
+  };
+  const ruleSet = new RuleSet([
+    { when: 'metadata.language:rust', action: 'type', type: 'technical' },
+    { when: 'rust', action: 'type', type: 'competitive' },
+    { when: 'rust', action: 'boost', boost: 15 },
+    { when: 'released', action: 'boost', boost: -5 }
+  ]);
+
+  const { signal: updated, excluded } = ruleSet.applyAfter(signal);
+  assert.equal(excluded, null);
+  assert.equal(updated.filter_result.signal_type, 'technical');
+  assert.deepEqual(updated.filter_result.signal_types.map(entry => entry.type), ['technical', 'trend']);
+  assert.equal(updated.filter_result.score_boost, 10);
+  assert.deepEqual(updated.filter_result.rules.map(entry => entry.rule), [
+    'metadata.language:rust',
+    'rust',
+    'released'
+  ]);
+  assert.equal(signal.filter_result.signal_type, 'trend');
+});
+
+test('RuleSet.applyAfter drops signals matched by an after-scoring exclude', () => {
+  const signal = { ...item, filter_result: { signal_type: 'trend' } };
+  const ruleSet = new RuleSet([
+    { when: 'rust', action: 'boost', boost: 5 },
+    { when: 'type:trend', action: 'exclude', stage: 'after', name: 'no-trends' }
+  ]);
+  assert.deepEqual(ruleSet.applyAfter(signal), {
+    signal,
+    excluded: { rule: 'no-trends', action: 'exclude' }
+  });
+  assert.deepEqual(new RuleSet([]).applyAfter(signal), { signal, excluded: null });
+});
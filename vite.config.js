@@ -16,6 +16,10 @@ export default defineConfig({
       'semantic-relevance': resolve(__dirname, 'src/index.js')
     }
   },
+  worker: {
+    // Module worker (the embedding worker uses dynamic imports)
+    format: 'es'
+  },
   optimizeDeps: {
     exclude: ['@xenova/transformers']
   }